@@ -34,13 +34,35 @@ export type PatternMatch<T extends Pattern> =
   T extends {[key: string]: Pattern} ? {[K in keyof T]: PatternMatch<T[K]>} :
   Match.PatternMatch<T>;
 
+/**
+ * Conditions added with EasySchema.addCondition. Declare them with declaration merging to type them, e.g.
+ * declare module 'meteor/jam:easy-schema' { interface CustomConditions { startsWith(value: string, message?: string): this } }
+ */
+export interface CustomConditions {}
+
 // Base Schema class for common behavior
+declare interface BaseSchema<T> extends CustomConditions {}
 declare class BaseSchema<T> {
   constructor(type: T);
 
   default(value: any): this;
   where(value: (item: T) => boolean): this;
   enums(value: any, message?: string): this;
+  /** Creates an index on the field when the schema is attached. Pass index options, e.g. { sparse: true }, if needed. */
+  index(options?: boolean | Record<string, any>): this;
+  /** The name of the field in error messages, e.g. 'Date of birth'. */
+  label(value: string): this;
+  /** The error message when the field is missing. */
+  required(message: string): this;
+  /** The error message when the value is the wrong type. */
+  typeError(message: string): this;
+}
+
+interface UniqueOptions {
+  /** Compares values without case, e.g. 'Bob' and 'bob' are duplicates. */
+  caseInsensitive?: boolean;
+  /** Only includes documents that have the field, or the documents that match a partialFilterExpression. Optional fields are partial by default. */
+  partial?: boolean | Record<string, any>;
 }
 
 // Specialized schemas for different types
@@ -48,17 +70,44 @@ declare class StringSchema extends BaseSchema<string> {
   min(value: number | string, message?: string): this;
   max(value: number | string, message?: string): this;
   regex(value: RegExp, message?: string): this;
+  format(value: 'email' | 'url' | 'uuid' | 'iso-date' | 'hostname' | 'ip', message?: string): this;
+  trim(value?: boolean): this;
+  lowercase(value?: boolean): this;
+  uppercase(value?: boolean): this;
+  normalize(value?: 'NFC' | 'NFD' | 'NFKC' | 'NFKD'): this;
+  /** Adds the field to the collection's text index. */
+  text(value?: boolean): this;
+  unique(value?: boolean | UniqueOptions, message?: string): this;
 }
 
 declare class NumberSchema extends BaseSchema<number> {
   min(value: number, message?: string): this;
   max(value: number, message?: string): this;
+  gt(value: number, message?: string): this;
+  lt(value: number, message?: string): this;
+  multipleOf(value: number, message?: string): this;
+  unique(value?: boolean | UniqueOptions, message?: string): this;
+}
+
+type DateOffset = { years?: number, months?: number, weeks?: number, days?: number, hours?: number, minutes?: number, seconds?: number };
+
+declare class DateSchema extends BaseSchema<Date> {
+  min(value: Date | 'now' | DateOffset, message?: string): this;
+  max(value: Date | 'now' | DateOffset, message?: string): this;
+  past(message?: string): this;
+  future(message?: string): this;
+  /** Creates a TTL index that removes the doc the number of seconds after the field's date. */
+  ttl(seconds: number): this;
+  unique(value?: boolean | UniqueOptions, message?: string): this;
 }
 
 declare class ArraySchema extends BaseSchema<any[]> {
   min(value: number, message?: string): this;
   max(value: number, message?: string): this;
-  unique(value?: boolean): this;
+  unique(value?: boolean, message?: string): this;
+  contains(value: Pattern, message?: string): this;
+  minContains(value: number, message?: string): this;
+  maxContains(value: number, message?: string): this;
   only(value?: any): this;
 }
 
@@ -92,11 +141,11 @@ declare global {
   }
 
   interface DateConstructor {
-    [has]: BaseSchema<Date>;
+    [has]: DateSchema;
   }
 }
 
-// Custom types for Integer, ID, and ObjectID
+// Custom types for Integer, ID, ObjectID, Long, and Binary
 interface IntegerConstructor {
   [has]: NumberSchema;
 }
@@ -109,12 +158,41 @@ interface ObjectIDConstructor {
   [has]: BaseSchema<Mongo.ObjectID>;
 }
 
+declare class LongSchema extends BaseSchema<bigint> {
+  min(value: number | bigint, message?: string): this;
+  max(value: number | bigint, message?: string): this;
+  unique(value?: boolean | UniqueOptions, message?: string): this;
+}
+
+interface LongConstructor {
+  [has]: LongSchema;
+}
+
+declare class BinarySchema extends BaseSchema<Uint8Array> {
+  min(value: number, message?: string): this;
+  max(value: number, message?: string): this;
+}
+
+interface BinaryConstructor {
+  [has]: BinarySchema;
+}
+
+interface CustomType extends Match.Matcher<any> {
+  [has]: CustomSchema;
+}
+
+declare class CustomSchema extends BaseSchema<any> {}
+
 interface DecimalConstructor {
   [has]: BaseSchema<any>;
 }
 
 export declare const ID: IDConstructor;
 export declare const ObjectID: ObjectIDConstructor;
+/** Matches a signed 64-bit integer as a `BigInt` or a Mongo `Long`. */
+export declare const Long: LongConstructor;
+/** Matches binary data as a `Uint8Array` or a Mongo `Binary`. */
+export declare const Binary: BinaryConstructor;
 
 /**
  * Check that data matches a schema.
@@ -123,9 +201,44 @@ export declare const ObjectID: ObjectIDConstructor;
  */
 export declare function check<T extends Pattern>(
   data: any,
-  schema: T
+  schema: T,
+  options?: { transform?: boolean, locale?: Locale }
 ): asserts data is PatternMatch<T>;
 
+/**
+ * Check that data matches a schema, including its async `where` functions which are run in parallel.
+ * @param data The data to check
+ * @param schema The schema to match `data` against
+ */
+export declare function checkAsync<T extends Pattern>(
+  data: any,
+  schema: T,
+  options?: { transform?: boolean, locale?: Locale }
+): Promise<void>;
+
+export interface CleanOptions {
+  /** Converts values to the schema's type when it's safe to, e.g. '42' to 42 for a Number. Defaults to true. */
+  coerce?: boolean;
+  /** Removes keys that aren't in the schema unless the object allows extra keys. Defaults to true. */
+  removeUnknown?: boolean;
+  /** Removes keys whose value is an empty string. Defaults to true. */
+  removeEmptyStrings?: boolean;
+  /** Fills in defaults that aren't functions. Doesn't apply to update modifiers. Defaults to true. */
+  defaults?: boolean;
+}
+
+/**
+ * Cleans data against a schema. The data is not mutated.
+ * @param data A document or an update modifier, e.g. { $set: {...} }
+ * @param schema A schema or a collection's schema, e.g. Todos.schema
+ * @param options Options for cleaning
+ */
+export declare function clean<T extends Record<string, any>>(
+  data: T,
+  schema: Record<string, any>,
+  options?: CleanOptions
+): T;
+
 
 /** Matches any value. */
 export declare const Any: Match.Matcher<any>;
@@ -140,6 +253,66 @@ export declare function Optional<T extends Pattern>(
   pattern: T
 ): Match.Matcher<PatternMatch<T> | undefined | null>;
 
+/**
+  * Matches a fixed length array where each position has its own pattern. Trailing positions can be `Optional`.
+  */
+export declare function Tuple<T extends Pattern[]>(
+  ...patterns: T
+): Match.Matcher<{ [I in keyof T]: PatternMatch<T[I]> }>;
+
+/**
+  * Matches an object with arbitrary keys that match keyPattern and values that match valuePattern. Use `min` and `max` to limit the number of keys.
+  */
+export declare function Record<T extends Pattern>(
+  keyPattern: RegExp | IDConstructor | StringConstructor,
+  valuePattern: T,
+  options?: { min?: number | [number, string], max?: number | [number, string] }
+): Match.Matcher<{ [key: string]: PatternMatch<T> }>;
+
+/**
+  * Gets the pattern when it's needed so that a schema can refer to itself, e.g. `{ children: [Lazy(() => nodeSchema)] }`. Nesting is limited by `depth` which defaults to 5.
+  */
+export declare function Lazy<T extends Pattern>(
+  getter: () => T,
+  options?: { depth?: number }
+): Match.Matcher<any>;
+
+/**
+  * Matches exactly the value. Primitives in a schema are treated as Literals, e.g. `{ version: 'v2' }`.
+  */
+export declare function Literal<T extends string | number | boolean | null>(
+  value: T
+): Match.Matcher<T>;
+
+/**
+  * Matches either `null` or pattern. Unlike `Optional`, if used in an object the key must be present. Combine with `Optional` if the key can also be missing.
+  */
+export declare function Nullable<T extends Pattern>(
+  pattern: T
+): Match.Matcher<PatternMatch<T> | null>;
+
+/**
+  * Matches all of the patterns. Object patterns are combined so that the data can have the keys of any of them.
+  */
+export declare function AllOf<T extends Pattern[]>(
+  ...patterns: T
+): Match.Matcher<any>;
+
+/**
+  * Matches anything except the pattern.
+  */
+export declare function Not<T extends Pattern>(
+  pattern: T
+): Match.Matcher<any>;
+
+/**
+  * Matches one of the branches based on the value of the tag key, e.g. `Union('kind', { card: {...}, bank: {...} })`. Errors are only reported against the branch that the tag selects.
+  */
+export declare function Union<K extends string, B extends Record<string, Record<string, Pattern>>>(
+  key: K,
+  branches: B
+): Match.Matcher<{ [T in keyof B]: PatternMatch<B[T]> & { [P in K]: T } }[keyof B]>;
+
 /**
  * Shapes an object based on a POJO.
  *
@@ -159,6 +332,64 @@ export declare const shape: (obj: Record<string, any>, options?: { optionalize?:
  */
 export declare const pick: (obj: Record<string, any>, keys: string[]) => Record<string, any>;
 
+/**
+ * Creates a new schema with the keys of another schema added to it. Keys in `more` replace keys with the same name.
+ *
+ * @param {Object} schema - The schema to extend. Can be raw or shaped, e.g. a collection's schema.
+ * @param {Object} more - The keys to add.
+ * @returns {Object} - A new schema. It's shaped if `schema` was shaped.
+ */
+export declare const extend: (schema: Record<string, any>, more: Record<string, any>) => Record<string, any>;
+
+/**
+ * Creates a new schema without the specified keys.
+ *
+ * @param {Object} schema - The schema to omit keys from. Can be raw or shaped, e.g. a collection's schema.
+ * @param {string[]} keys - The keys to omit.
+ * @returns {Object} - A new schema. It's shaped if `schema` was shaped.
+ */
+export declare const omit: (schema: Record<string, any>, keys: string[]) => Record<string, any>;
+
+/**
+ * Creates a new schema where the top-level keys are optional.
+ *
+ * @param {Object} schema - The schema to make partial. Can be raw or shaped, e.g. a collection's schema.
+ * @param {string[]} [keys] - The keys to make optional. Defaults to all keys.
+ * @returns {Object} - A new schema. It's shaped if `schema` was shaped.
+ */
+export declare const partial: (schema: Record<string, any>, keys?: string[]) => Record<string, any>;
+
+/**
+ * Creates a new schema where the specified keys are required.
+ *
+ * @param {Object} schema - The schema to make keys required in. Can be raw or shaped, e.g. a collection's schema.
+ * @param {string[]} [keys] - The keys to make required. Defaults to all keys.
+ * @returns {Object} - A new schema. It's shaped if `schema` was shaped.
+ */
+export declare const required: (schema: Record<string, any>, keys?: string[]) => Record<string, any>;
+
+/**
+ * Creates a new schema where every key, including the keys of nested objects, is optional.
+ *
+ * @param {Object} schema - The schema to make deeply partial. Can be raw or shaped, e.g. a collection's schema.
+ * @returns {Object} - A new schema. It's shaped if `schema` was shaped.
+ */
+export declare const deepPartial: (schema: Record<string, any>) => Record<string, any>;
+
+/** A locale or a function that returns one for the current method invocation, e.g. invocation => invocation?.connection?.httpHeaders['accept-language']. */
+export type Locale = string | ((invocation: any) => string | undefined);
+
+/** The keys of the message catalog. Messages can use placeholders, e.g. '{{label}} {{message}}' or 'must be at least {{min}} {{unit}}'. */
+export type Messages = Record<
+  | 'field' | 'and' | 'required' | 'type' | 'typeActual' | 'empty' | 'min' | 'max' | 'minMax'
+  | 'characters' | 'items' | 'item' | 'properties' | 'bytes'
+  | 'dateMin' | 'dateMax' | 'dateMinMax' | 'future' | 'past' | 'after' | 'before'
+  | 'gt' | 'lt' | 'gtLt' | 'multipleOf' | 'enums' | 'regex' | 'format' | 'uniqueItems' | 'unique'
+  | 'contains' | 'minContains' | 'maxContains' | 'condition' | 'union' | 'unionTag' | 'not' | 'literal'
+  | 'tuple' | 'tupleRange' | 'tupleMax' | 'recordMin' | 'recordMax' | 'recordMinMax' | 'recordKey' | 'lazy',
+  string
+>;
+
 export declare const EasySchema: {
   /**
     * Readonly configuration options for EasySchema.
@@ -170,6 +401,7 @@ export declare const EasySchema: {
     validationAction?: string;
     validationLevel?: string;
     additionalBsonTypes?: object;
+    locale?: Locale;
   },
   /**
    * Configures the settings for EasySchema.
@@ -181,7 +413,29 @@ export declare const EasySchema: {
     validationAction?: string;
     validationLevel?: string;
     additionalBsonTypes?: object;
+    /** Messages by locale that are merged into the catalog, e.g. { fr: { required: 'est obligatoire' } }. */
+    messages?: Record<string, Partial<Messages>>;
+    /** The locale of the error messages. Defaults to 'en'. */
+    locale?: Locale;
   }) => object,
+  /**
+   * Registers a custom type so that it can be used like the built-in types, e.g. with [has] and conditions.
+   */
+  registerType: (name: string, options: {
+    test: (value: any) => boolean;
+    conditions?: string[];
+    bsonType?: string;
+    jsonSchema?: object;
+  }) => CustomType,
+  /**
+   * Adds a custom condition that can be used like the built-in conditions, e.g. String[has].startsWith('/').
+   */
+  addCondition: (name: string, options: {
+    types: any[];
+    validate: (value: any, conditionValue: any) => boolean;
+    message?: string | ((conditionValue: any) => string);
+    toJSONSchema?: (conditionValue: any, bsonType: string) => object;
+  }) => void,
   /**
    * Make a field required that was optional. See docs for more info.
    */
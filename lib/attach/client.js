@@ -1,6 +1,6 @@
 import { Mongo } from 'meteor/mongo';
 import { config } from '../config/client';
-import { shape } from '../shape.js';
+import { shape, _source } from '../shape.js';
 
 /**
  * @summary Attach a schema to a collection
@@ -9,6 +9,8 @@ import { shape } from '../shape.js';
  */
 Mongo.Collection.prototype.attachSchema = function(schema) {
   /** @type {import('meteor/check').Match.Pattern} */
-  this.schema = { ...shape({...schema, ...config.base}), '$id': `/${this._name}` };
+  const fullSchema = {...schema, ...config.base};
+  this.schema = { ...shape(fullSchema), '$id': `/${this._name}` };
+  Object.defineProperty(this.schema, _source, { value: fullSchema });
   return this;
 };
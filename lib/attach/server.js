@@ -1,10 +1,12 @@
 import { Mongo, MongoInternals } from 'meteor/mongo';
 import { config, typeMap } from '../config/server';
-import { shape, getValue, isArray, ALLOWED, ID_PATTERN } from '../shape.js';
-import { isObject } from '../utils/shared';
+import { shape, getValue, isArray, ID_PATTERN, isConditions, customConditions, _meta, _source } from '../shape.js';
+import { isObject, isEqual } from '../utils/shared';
+import { formats } from '../formats';
 
 const minProps = {
   int: 'minimum',
+  long: 'minimum',
   decimal: 'minimum',
   double: 'minimum',
   string: 'minLength',
@@ -14,6 +16,7 @@ const minProps = {
 
 const maxProps = {
   int: 'maximum',
+  long: 'maximum',
   decimal: 'maximum',
   double: 'maximum',
   string: 'maxLength',
@@ -23,32 +26,92 @@ const maxProps = {
 
 const createQualifiers = ({ type, conditions }) => {
   const qualifiers = {}
-  if ('min' in conditions) {
+  if ('min' in conditions && minProps[type]) { // some types, e.g. binData, don't have a JSON Schema equivalent for min / max so they're only enforced by check
     qualifiers[minProps[type]] = Array.isArray(conditions['min']) ? conditions['min'][0] : conditions['min'];
   }
 
-  if ('max' in conditions) {
+  if ('max' in conditions && maxProps[type]) {
     qualifiers[maxProps[type]] = Array.isArray(conditions['max']) ? conditions['max'][0] : conditions['max'];
   }
 
+  // Mongo's $jsonSchema follows draft 4 where exclusiveMinimum / exclusiveMaximum are booleans that make minimum / maximum exclusive
+  // so if min / max are also set, we keep whichever bound is stricter
+  if ('gt' in conditions) {
+    const gt = Array.isArray(conditions['gt']) ? conditions['gt'][0] : conditions['gt'];
+    if (!('minimum' in qualifiers) || Number(gt) >= Number(qualifiers['minimum'])) {
+      qualifiers['minimum'] = gt;
+      qualifiers['exclusiveMinimum'] = true;
+    }
+  }
+
+  if ('lt' in conditions) {
+    const lt = Array.isArray(conditions['lt']) ? conditions['lt'][0] : conditions['lt'];
+    if (!('maximum' in qualifiers) || Number(lt) <= Number(qualifiers['maximum'])) {
+      qualifiers['maximum'] = lt;
+      qualifiers['exclusiveMaximum'] = true;
+    }
+  }
+
+  if ('multipleOf' in conditions) {
+    qualifiers['multipleOf'] = Number(Array.isArray(conditions['multipleOf']) ? conditions['multipleOf'][0] : conditions['multipleOf']); // a Decimal is converted so that it's sent to Mongo as a number
+  }
+
   if ('regex' in conditions) {
     qualifiers['pattern'] = (Array.isArray(conditions['regex']) ? conditions['regex'][0] : conditions['regex']).source;
   }
 
+  const format = formats[Array.isArray(conditions['format']) ? conditions['format'][0] : conditions['format']];
+  if (format) { // an unknown format is rejected by shape
+    const { source } = format.regex;
+    if ('pattern' in qualifiers) { // when using both regex and format, we need allOf since a schema can only have one pattern
+      qualifiers['allOf'] = [{ pattern: source }];
+    } else {
+      qualifiers['pattern'] = source;
+    }
+  }
+
   if ('enums' in conditions) {
     const enums = conditions['enums'];
     const alwErr = enums.some(Array.isArray) && typeof ([last] = enums.slice(-1))[0] === 'string' ? last : undefined;
     qualifiers['enum'] = alwErr ? enums[0] : enums;
   }
 
-  if ('unique' in conditions) {
+  if ('unique' in conditions && type === 'array') { // otherwise unique is enforced by a unique index
     qualifiers['uniqueItems'] = Array.isArray(conditions['unique']) ? conditions['unique'][0] : conditions['unique'];
   }
 
+  // Mongo's $jsonSchema follows draft 4 which doesn't have contains, so we emulate it with not: { items: { not: pattern } }, i.e. not every item fails to match the pattern.
+  // minContains and maxContains can't be expressed in draft 4 so they're only enforced by check. A minContains > 1 still gets the weaker "at least one" guarantee from the db.
+  if ('contains' in conditions) {
+    const contains = conditions['contains'];
+    const pattern = Array.isArray(contains) && contains.length === 2 && typeof contains[1] === 'string' ? contains[0] : contains;
+    const minContains = Array.isArray(conditions['minContains']) ? conditions['minContains'][0] : conditions['minContains'];
+
+    if (minContains !== 0) {
+      qualifiers['not'] = { items: { not: toJSONSchema(pattern) } };
+    }
+  }
+
   if ('extra' in conditions) {
     qualifiers['additionalProperties'] = conditions['extra'];
   }
 
+  if ('label' in conditions) {
+    qualifiers['title'] = conditions['label'];
+    qualifiers['description'] = conditions['label'];
+  }
+
+  for (const [ key, { toJSONSchema } ] of Object.entries(customConditions)) { // custom conditions without toJSONSchema are only enforced by check
+    if (!(key in conditions) || !toJSONSchema) continue;
+
+    const condition = conditions[key];
+    const keywords = toJSONSchema(Array.isArray(condition) && condition.length === 2 && typeof condition[1] === 'string' ? condition[0] : condition, type);
+    for (const [ keyword, value ] of Object.entries(keywords)) {
+      if (keyword in qualifiers) qualifiers['allOf'] = [...(qualifiers['allOf'] || []), { [keyword]: value }]; // e.g. a second pattern shouldn't replace the first
+      else qualifiers[keyword] = value;
+    }
+  }
+
   return qualifiers;
 }
 
@@ -56,7 +119,23 @@ const getTypeID = value => {
   if (!value.condition) return undefined;
 
   const condition = value.condition.toString();
-  return condition.includes('ID_PATTERN') ? 'ID' : condition.includes('ObjectID') ? 'ObjectID' : undefined;
+  return condition.includes('ID_PATTERN') ? 'ID' : condition.includes('ObjectID') ? 'ObjectID' : condition.includes('bigint') ? 'Long' : condition.includes('Uint8Array') ? 'Binary' : undefined;
+};
+
+const getJSONSchema = value => { // the additional JSON Schema keywords of a custom type, if any
+  const { kind, jsonSchema } = (value && value[_meta]) || {};
+  return kind === 'Type' ? { ...jsonSchema } : {};
+};
+
+const toJSONSchema = pattern => createJSONSchema({ items: pattern }).properties.items; // converts a standalone pattern
+
+const unrolled = new Map(); // tracks how many levels of each Lazy schema have been unrolled
+
+const allowNull = schema => { // adds null to the schema's bsonType while keeping its conditions
+  const { bsonType, ...rest } = schema;
+  if (!bsonType || ['not', 'allOf', 'anyOf', 'oneOf'].some(k => k in rest)) return { anyOf: [schema, { bsonType: 'null' }] }; // these would reject null so we need anyOf instead
+
+  return { bsonType: [...[].concat(bsonType), 'null'], ...rest, ...(rest.enum && { enum: [...rest.enum, null] }) };
 };
 
 // MONGO uses bsonType instead of type
@@ -65,7 +144,7 @@ export const createJSONSchema = (obj) => {
 
   // Iterate over the keys and values of the input object.
   const properties = Object.entries(obj).reduce((acc, [k, v]) => {
-    const { value, optional, anyOf } = getValue(v);
+    const { value, optional, anyOf, allOf, not, nullable, literal, tuple, record, lazy, union } = getValue(v);
 
     if (optional) {
       optionalKeys = [...optionalKeys, k]
@@ -74,19 +153,62 @@ export const createJSONSchema = (obj) => {
     const property = (() => {
       if (optional) {
         return Object.values(createJSONSchema(v).properties)[0];
+      } else if (union) { // each branch's tag is pinned with enum so that exactly one branch can match
+        const { key, branches } = value[_meta];
+        return {
+          oneOf: Object.entries(branches).map(([tag, branch]) => {
+            const { properties, required, ...rest } = createJSONSchema(branch);
+            return { ...rest, properties: { ...properties, [key]: { bsonType: 'string', enum: [tag] } }, required: [...new Set([...required, key])] };
+          })
+        };
+      } else if (allOf) {
+        const { args, objects } = value[_meta];
+        if (!objects) return { allOf: args.map(toJSONSchema) };
+
+        // additionalProperties only considers the properties next to it so each object allows extra properties and the combined properties are enforced at the top level
+        const schemas = args.map(a => { const { additionalProperties, ...schema } = toJSONSchema(a); return schema; });
+        const properties = Object.fromEntries(schemas.flatMap(({ properties }) => Object.keys(properties)).map(key => [key, {}]));
+        return { bsonType: 'object', allOf: schemas, properties, additionalProperties: false };
+      } else if (not) {
+        return { not: toJSONSchema(value[_meta].pattern) };
+      } else if (nullable) {
+        return allowNull(toJSONSchema(value[_meta].pattern));
+      } else if (literal) {
+        return { enum: [value[_meta].value] };
+      } else if (tuple) {
+        const { args, required } = value[_meta];
+        return { bsonType: 'array', items: args.map(toJSONSchema), additionalItems: false, ...(required && { minItems: required }) };
+      } else if (lazy) { // $jsonSchema doesn't support $ref so we unroll the schema to the Lazy's depth and then fall back to a permissive subschema
+        const { getter, depth } = value[_meta];
+        const level = unrolled.get(getter) || 0;
+        if (level >= depth) return {};
+
+        unrolled.set(getter, level + 1);
+        try {
+          return toJSONSchema(getter());
+        } finally {
+          unrolled.set(getter, level);
+        }
+      } else if (record) {
+        const { keyRegex, valuePattern, min, max } = value[_meta];
+        return { bsonType: 'object', patternProperties: { [keyRegex.source]: toJSONSchema(valuePattern) }, additionalProperties: false, ...(min !== undefined && { minProperties: min }), ...(max !== undefined && { maxProperties: max }) };
       } else if (anyOf) {
         return { anyOf: value.map(i => createJSONSchema({ items: i }).properties.items) }
       } else if (isObject(value) && value.hasOwnProperty('type')) {
         const { type, default: dValue, where, ...conditions } = value;
 
-        if (Object.keys(conditions).some(i => !ALLOWED.includes(i))) { // this prevents a situation where the user has a {type: } as part of their schema but did not intend to use it to create conditions
+        if (!isConditions(value)) { // this prevents a situation where the user has a {type: } as part of their schema but did not intend to use it to create conditions
           return createJSONSchema(value);
         } else {
-          const { value: typeValue, optional } = getValue(type);
+          const { value: typeValue, optional, nullable } = getValue(type);
           if (optional) {
             optionalKeys = [...optionalKeys, k]
           }
 
+          if (nullable) {
+            return allowNull(toJSONSchema({ type: typeValue[_meta].pattern, ...conditions }));
+          }
+
           if (isObject(typeValue)) {
             return { ...createJSONSchema({ items: typeValue }).properties.items, ...(conditions && createQualifiers({ type: 'object', conditions })) };
           }
@@ -98,7 +220,7 @@ export const createJSONSchema = (obj) => {
 
           const typeID = getTypeID(typeValue);
           const mappedType = typeMap[typeID ?? (typeValue.name || typeValue)];
-          return { bsonType: mappedType, ...(typeID === 'ID' && { pattern: ID_PATTERN.source }), ...(conditions && createQualifiers({ type: mappedType, conditions })) };
+          return { ...(mappedType && { bsonType: mappedType }), ...(typeID === 'ID' && { pattern: ID_PATTERN.source }), ...getJSONSchema(typeValue), ...(conditions && createQualifiers({ type: mappedType, conditions })) };
         }
       } else if (isArray(value)) {
         const { value: firstValue, optional, anyOf } = getValue(value[0]);
@@ -109,10 +231,12 @@ export const createJSONSchema = (obj) => {
         return { bsonType: 'array', items, ...((optional || fvTypeOptional) && { minItems: 0 }) }
       } else if (isObject(value)) {
         return createJSONSchema(value);
+      } else if (['string', 'number', 'boolean'].includes(typeof value)) { // a primitive is treated as a Literal, e.g. 'owner'
+        return { enum: [value] };
       } else {
         const typeID = getTypeID(value);
         const type = typeMap[typeID ?? (value?.name || value)];
-        return type ? { bsonType: type, ...(typeID === 'ID' && { pattern: ID_PATTERN.source }) } : value === null ? { bsonType: 'null' } : {};
+        return type ? { bsonType: type, ...(typeID === 'ID' && { pattern: ID_PATTERN.source }), ...getJSONSchema(value) } : value === null ? { bsonType: 'null' } : getJSONSchema(value);
       }
     })();
 
@@ -131,25 +255,121 @@ export const createJSONSchema = (obj) => {
   };
 };
 
+// $jsonSchema can't compare dates so fixed Date bounds are added to the validator as query operators
+// relative bounds, e.g. 'now' or {days: 30}, change over time so they're only enforced by check. bounds within arrays are also only enforced by check since a query on an array matches if any item matches.
+const createDateQueries = (obj, path = [], parentOptional = false) => Object.entries(obj).flatMap(([k, v]) => {
+  const { value: unwrapped, optional: isOptional } = getValue(v);
+  const { value } = isOptional ? getValue(unwrapped) : { value: unwrapped };
+  const field = [...path, k];
+
+  if (isConditions(value)) {
+    const { value: type, optional: typeOptional } = getValue(value.type);
+    if (type !== Date) return [];
+
+    const [ min ] = [].concat(value.min);
+    const [ max ] = [].concat(value.max);
+    const isFixed = bound => bound instanceof Date;
+    if (!isFixed(min) && !isFixed(max)) return [];
+
+    const query = { [field.join('.')]: { ...(isFixed(min) && { $gte: min }), ...(isFixed(max) && { $lte: max }) } };
+    return (parentOptional || isOptional || typeOptional) ? [{ $or: [{ [field.join('.')]: { $exists: false } }, query] }] : [query];
+  }
+
+  return isObject(value) ? createDateQueries(value, field, parentOptional || isOptional) : [];
+});
+
+/**
+ * Creates the validator for the collection
+ *
+ * @param {Object} schema The schema
+ * @returns {Object} The validator with the $jsonSchema and any query operators that $jsonSchema doesn't support
+ */
+export const createValidator = ({ $indexes, ...schema }) => { // $indexes isn't a field
+  const queries = createDateQueries(schema);
+  return { $jsonSchema: createJSONSchema(schema), ...(queries.length && { $and: queries }) };
+};
+
+// a unique field, e.g. String[has].unique(), gets a unique index so that the db enforces it without racing like a lookup would.
+// fields within arrays are skipped since a unique index on them would compare the items across documents.
+// optional fields are indexed partially so that documents without the field don't collide.
+export const createUniqueIndexes = (obj, path = [], parentOptional = false) => Object.entries(obj).flatMap(([k, v]) => {
+  const { value: unwrapped, optional: isOptional } = getValue(v);
+  const { value } = isOptional ? getValue(unwrapped) : { value: unwrapped };
+  const field = [...path, k];
+
+  if (isConditions(value)) {
+    const { value: type, optional: typeOptional } = getValue(value.type);
+    const optional = parentOptional || isOptional || typeOptional;
+    if (isObject(type) && !isConditions(type)) return createUniqueIndexes(type, field, optional);
+
+    const [ unique, message ] = Array.isArray(value.unique) ? value.unique : [value.unique];
+    if (!unique || isArray(type) || type === Array) return [];
+
+    const { partial, caseInsensitive } = isObject(unique) ? unique : {};
+    const name = field.join('.');
+    const partialFilterExpression = isObject(partial) ? partial : (partial || optional) ? { [name]: { $exists: true } } : undefined;
+
+    return [{
+      key: { [name]: 1 },
+      options: { unique: true, ...(partialFilterExpression && { partialFilterExpression }), ...(caseInsensitive && { collation: { locale: 'en', strength: 2 } }) }, // strength 2 compares without case
+      ...(message && { message })
+    }];
+  }
+
+  return isObject(value) ? createUniqueIndexes(value, field, parentOptional || isOptional) : [];
+});
+
 const db = MongoInternals.defaultRemoteCollectionDriver().mongo.db;
 
+const INDEX_OPTIONS_CONFLICT = 85;
+const INDEX_KEY_SPECS_CONFLICT = 86;
+
+const createIndex = async (rawCollection, { key, options }) => { // reconciles an index that was changed in the schema by dropping and recreating it
+  try {
+    return await rawCollection.createIndex(key, options);
+  } catch (error) {
+    if (![INDEX_OPTIONS_CONFLICT, INDEX_KEY_SPECS_CONFLICT].includes(error.code)) throw error;
+
+    const name = options.name || Object.entries(key).map(([k, v]) => `${k}_${v}`).join('_'); // Mongo's default name
+    const isText = Object.values(key).includes('text');
+    const existing = (await rawCollection.indexes()).find(i => i.name === name || isEqual(i.key, key) || (isText && i.key._fts)); // a text index's key is stored as _fts and _ftsx
+    if (!existing) throw error;
+
+    await rawCollection.dropIndex(existing.name);
+    return rawCollection.createIndex(key, options);
+  }
+};
+
+const attachIndexes = async collection => {
+  try {
+    const indexes = [...createUniqueIndexes(collection.schema[_source]), ...(collection.schema.$indexes || [])];
+    const rawCollection = db.collection(collection._name);
+
+    for (const index of indexes.filter((i, n) => indexes.findIndex(({ key }) => isEqual(key, i.key)) === n)) { // one at a time since reconciling may drop an index. a unique index takes precedence over an index on the same field
+      await createIndex(rawCollection, index);
+    }
+  } catch (error) {
+    console.error(error)
+  }
+}
+
 const attachMongoSchema = async (collection, schema) => {
   try {
     if (!config.autoAttachJSONSchema) { // optional setting that allows user to not attach a JSONSchema to the collection in the db
-      return;
+      return await attachIndexes(collection);
     }
 
-    const mongoJSONSchema = createJSONSchema(schema);
     const options = {
       validationAction: config.validationAction,
       validationLevel: config.validationLevel,
-      validator: { $jsonSchema: mongoJSONSchema }
+      validator: createValidator(schema)
     };
 
     const { _name } = collection;
     const exists = _name === 'users' || await db.listCollections({ name: _name }).hasNext(); // when using Meteor's Accounts system, the users collection had already been established at this point but db.listCollections wasn't able to find it
 
-    return exists ? await db.command({ collMod: _name, ...options }) : await db.createCollection(_name, options);
+    exists ? await db.command({ collMod: _name, ...options }) : await db.createCollection(_name, options);
+    return await attachIndexes(collection); // after the collection has been created with its validator
   } catch (error) {
     console.error(error)
   }
@@ -171,6 +391,7 @@ Mongo.Collection.prototype.attachSchema = function(schema) {
 
     /** @type {import('meteor/check').Match.Pattern} */
     collection.schema = { ...shape(fullSchema), '$id': `/${collection._name}` };
+    Object.defineProperty(collection.schema, _source, { value: fullSchema });
 
     /** @type {import('meteor/check').Match.Pattern} */
     collection._schemaDeepOptional = { ...shape(fullSchema, {optionalize: true}), '$id': `/${collection._name}` };
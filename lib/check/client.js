@@ -1,41 +1,95 @@
 import { check as c } from 'meteor/check';
-import { shape, _shaped, enforce } from '../shape.js';
+import { shape, _shaped, enforce, enforceAsync, collectPending } from '../shape.js';
 import { isObject, pick, hasOperators, formatErrors } from '../utils/shared';
+import { applyTransforms } from '../transforms';
+import { config } from '../config/client';
+import { resolveLocale, withLocale } from '../messages';
 import { ValidationError } from 'meteor/mdg:validation-error';
 
+const findErrors = (data, schema, { transform = false, locale: l } = {}) => { // collects the errors so that check and checkAsync can share it
+  // schema passed in can be customized instead of using the one on the collection.
+  // if it it's already been shaped, then we don't need to do that again but otherwise we do so that {type: } and conditions are converted properly
+  const schemaToCheck = isObject(schema) ? (schema[_shaped] ? (schema['$id'] ? pick(schema, Object.keys(data)) : { ...schema }) : shape(schema)) : schema; // a shaped schema is copied since its $ keys are deleted below
+  const { $rules, $asyncRules = schema.$asyncRules, $transforms = schema.$transforms, $messages = schema.$messages } = schemaToCheck; // pick leaves off $asyncRules, $transforms, and $messages so we fall back to the schema's
+  delete schemaToCheck.$rules;
+  delete schemaToCheck.$asyncRules;
+  delete schemaToCheck.$transforms;
+  delete schemaToCheck.$indexes;
+  delete schemaToCheck.$messages;
+
+  if (transform) applyTransforms(data, $transforms);
+
+  const errors = [];
+  const locale = resolveLocale(l ?? config.locale);
+
+  const promises = collectPending(() => { // where functions that return a promise without being declared async are awaited by checkAsync
+    try {
+      withLocale(locale, () => c(data, schemaToCheck, { throwAllErrors: true }));
+    } catch (e) {
+      Array.isArray(e) ? errors.push(...e) : errors.push(e);
+    }
+
+    try  {
+      enforce(data, $rules);
+    } catch (e) {
+      errors.push(...e)
+    }
+  });
+
+  return { errors, $asyncRules, promises, $messages, locale };
+};
+
 /**
  * @summary Check that data matches a [schema](#matchpatterns).
  * If the data does not match the schema, throw a `Validation Error`.
+ * Async where functions are skipped. Use checkAsync to await them.
  *
  * @param {Any} data The data to check
  * @param {MatchPattern} schema The schema to match `data` against
+ * @param {Object} [options]
+ * @param {boolean} [options.transform=false] If true, the schema's String transforms, e.g. trim, are applied to `data` before it's checked. This mutates `data`.
+ * @param {string | Function} [options.locale] The locale of the error messages. Defaults to the locale set with EasySchema.configure.
  */
-export const check = (data, schema) => { // full check only happens on the server so it's not an argument here
+export const check = (data, schema, options) => { // full check only happens on the server so it's not an argument here
   if (hasOperators(data)) { // check on the client doesn't validate update operators to reduce bundle size and since it shouldn't be necessary. update operators are checked on the server.
     return;
   }
 
-  // schema passed in can be customized instead of using the one on the collection.
-  // if it it's already been shaped, then we don't need to do that again but otherwise we do so that {type: } and conditions are converted properly
-  const schemaToCheck = isObject(schema) ? (schema[_shaped] ? (schema['$id'] ? pick(schema, Object.keys(data)) : schema) : shape(schema)) : schema;
-  const { $rules } = schemaToCheck;
-  delete schemaToCheck.$rules;
-  const errors = [];
+  const { errors, $messages, locale } = findErrors(data, schema, options);
 
-  try {
-    c(data, schemaToCheck, { throwAllErrors: true });
-  } catch (e) {
-    Array.isArray(e) ? errors.push(...e) : errors.push(e);
+  if (errors.length) {
+    throw new ValidationError(formatErrors(errors, $messages, locale));
+  }
+
+  return;
+};
+
+/**
+ * @summary Check that data matches a [schema](#matchpatterns), including any async where functions which are awaited in parallel.
+ * If the data does not match the schema, throw a `Validation Error`.
+ *
+ * @param {Any} data The data to check
+ * @param {MatchPattern} schema The schema to match `data` against
+ * @param {Object} [options]
+ * @param {boolean} [options.transform=false] If true, the schema's String transforms, e.g. trim, are applied to `data` before it's checked. This mutates `data`.
+ * @param {string | Function} [options.locale] The locale of the error messages. Defaults to the locale set with EasySchema.configure.
+ * @returns {Promise<void>}
+ */
+export const checkAsync = async (data, schema, options) => {
+  if (hasOperators(data)) { // update operators are checked on the server
+    return;
   }
 
-  try  {
-    enforce(data, $rules);
+  const { errors, $asyncRules, promises, $messages, locale } = findErrors(data, schema, options);
+
+  try {
+    await enforceAsync(data, $asyncRules, errors, promises);
   } catch (e) {
     errors.push(...e)
   }
 
   if (errors.length) {
-    throw new ValidationError(formatErrors(errors));
+    throw new ValidationError(formatErrors(errors, $messages, locale));
   }
 
   return;
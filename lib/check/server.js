@@ -1,20 +1,54 @@
 import { check as c } from 'meteor/check';
-import { shape, _shaped, enforce } from '../shape.js';
+import { shape, _shaped, enforce, enforceAsync, collectPending, getValue } from '../shape.js';
 import { isObject, pick, hasOperators, formatErrors } from '../utils/shared';
+import { applyTransforms } from '../transforms';
+import { unwrap, child } from '../clean';
+import { config } from '../config/server';
+import { resolveLocale, withLocale } from '../messages';
 import { ValidationError } from 'meteor/mdg:validation-error';
-import { flatten, unflatten } from 'flat';
+import { flatten } from 'flat';
 
-const transformObject = (obj, isArrayOperator, isCurrentDateOperator, isBitOperator) => Object.entries(obj).reduce((acc, [k, v]) => {
-  const replaced = k.replace(/\$\[\w*]|\$|\d+/g, '0'); // replaces $, $[], $[any words], and digit with 0
-  const endsWithPositionalOperator = replaced.endsWith('.0');
-  const newKey = replaced.replace(/.0$/, ""); // strip off last .0 so we can make comparisons easy
+const isRecord = p => getValue(unwrap(p)).record;
+
+const toKeys = (k, schema) => { // replaces $, $[], $[any words], and array indexes with 0. digits are kept when they're a Record key, e.g. 'stats.2024'
+  let node = schema;
+  return k.split('.').map(s => {
+    const key = /^\$(\[\w*])?$/.test(s) || (/^\d+$/.test(s) && !isRecord(node)) ? 0 : s;
+    node = node && child(node, String(key));
+    return key;
+  });
+};
+
+const unflatten = (obj, schema) => Object.entries(obj).reduce((acc, [k, v]) => { // unlike flat's unflatten, digits only create an array when there isn't a Record at that path
+  const keys = k.split('.');
+  if (keys.includes('__proto__')) return acc;
+
+  let target = acc;
+  let node = schema;
+  for (const [i, key] of keys.slice(0, -1).entries()) {
+    node = node && child(node, key);
+    if (target[key] === undefined) target[key] = /^\d+$/.test(keys[i + 1]) && !isRecord(node) ? [] : {};
+    target = target[key];
+    if (!target || typeof target !== 'object') return acc; // conflicting paths, e.g. 'a' and 'a.b', are left for Mongo to reject
+  }
+
+  target[keys[keys.length - 1]] = v;
+  return acc;
+}, {});
+
+const transformObject = (obj, schema, isArrayOperator, isCurrentDateOperator, isBitOperator) => Object.entries(obj).reduce((acc, [k, v]) => {
+  const keys = toKeys(k, schema);
+  const endsWithPositionalOperator = keys.length > 1 && keys[keys.length - 1] === 0;
+  const newKey = (endsWithPositionalOperator ? keys.slice(0, -1) : keys).join('.'); // strip off the last positional so we can make comparisons easy
 
   acc[newKey] = (isArrayOperator || endsWithPositionalOperator) ? (Object.keys(v).includes('$each') ? Object.values(v)[0] : [v]) : isCurrentDateOperator ? new Date() : isBitOperator ? Object.values(v)[0] : v;
   return acc;
 }, {});
 
+const toBigInts = v => (v && v._bsontype === 'Long') ? BigInt(v.toString()) : isObject(v) ? Object.fromEntries(Object.entries(v).map(([k, i]) => [k, toBigInts(i)])) : Array.isArray(v) ? v.map(toBigInts) : v; // Mongo Longs are converted so that flatten treats them as values rather than objects
+
 const supportedOperators = ['$set', '$setOnInsert', '$inc', '$addToSet', '$push', '$min', '$max', '$mul', '$currentDate', '$bit'];
-const transformModifier = modifier => flatten(Object.entries(modifier).reduce((acc, [k, v]) => {
+const transformModifier = (modifier, schema) => flatten(Object.entries(modifier).reduce((acc, [k, v]) => {
   if (!supportedOperators.includes(k)) {
     if (!k.startsWith('$')) acc[k] = v // support for the upsert use case where we want to validate against the query
     return acc;
@@ -23,24 +57,19 @@ const transformModifier = modifier => flatten(Object.entries(modifier).reduce((a
   const isCurrentDateOperator = k === '$currentDate';
   const isBitOperator = k === '$bit';
 
-  return { ...acc, ...transformObject(v, isArrayOperator, isCurrentDateOperator, isBitOperator) }
+  return { ...acc, ...transformObject(toBigInts(v), schema, isArrayOperator, isCurrentDateOperator, isBitOperator) }
 }, {}), { safe: true }); // safe: true preserves arrays when using flatten
 
-/**
- * @summary Check that data matches a [schema](#matchpatterns).
- * If the data does not match the schema, throw a `Validation Error`.
- *
- * @param {Any} data The data to check
- * @param {MatchPattern} schema The schema to match `data` against
- */
-export const check = (data, schema, { full = false } = {}) => { // the only reason we don't have this in shared is to reduce bundle size on the client
+const findErrors = (data, schema, { full = false, transform = false, locale: l } = {}) => { // collects the errors so that check and checkAsync can share it
   const dataHasOperators = data && hasOperators(data);
-  const transformedModifier = dataHasOperators && transformModifier(data);
-  const dataToCheck = dataHasOperators ? unflatten(transformedModifier) : data;
-
   const schemaIsObject = isObject(schema);
   const { $id, ...schemaRest } = schemaIsObject ? schema : {}; // we don't need to check $id, so we remove it
-  const { $rules, ...shapedSchema } = schemaIsObject ? ((schema['$id'] || schema[_shaped]) ? schemaRest : dataHasOperators ? shape(schema, {optionalize: true}) : shape(schema)) : {}; // if we have an $id, then we've already shaped / deepOptionalized as needed so we don't need to do it again, otherwise a custom schema has been passed in and it needs to be shaped / deepOptionalized
+  const { $rules, $asyncRules, $defaults, $transforms, $indexes, $messages, ...shapedSchema } = schemaIsObject ? ((schema['$id'] || schema[_shaped]) ? schemaRest : dataHasOperators ? shape(schema, {optionalize: true}) : shape(schema)) : {}; // if we have an $id, then we've already shaped / deepOptionalized as needed so we don't need to do it again, otherwise a custom schema has been passed in and it needs to be shaped / deepOptionalized
+
+  if (transform) applyTransforms(data, $transforms);
+
+  const transformedModifier = dataHasOperators && transformModifier(data, shapedSchema);
+  const dataToCheck = dataHasOperators ? unflatten(transformedModifier, shapedSchema) : data;
 
   if (full && !dataToCheck._id) {
     delete shapedSchema._id // we likely won't have an _id (unless it's been preset) when doing an insert with full, so we remove it from the schema
@@ -48,21 +77,68 @@ export const check = (data, schema, { full = false } = {}) => { // the only reas
 
   const schemaToCheck = schemaIsObject ? ((dataHasOperators || full || schema[_shaped] && !schema['$id']) ? shapedSchema : pick(shapedSchema, Object.keys(dataToCheck))) : schema; // basically we only want to pick when necessary
   const errors = [];
+  const locale = resolveLocale(l ?? config.locale);
 
-  try {
-    c(dataToCheck, schemaToCheck, { throwAllErrors: true });
-  } catch (e) {
-    Array.isArray(e) ? errors.push(...e) : errors.push(e);
+  const promises = collectPending(() => { // where functions that return a promise without being declared async are awaited by checkAsync
+    try {
+      withLocale(locale, () => c(dataToCheck, schemaToCheck, { throwAllErrors: true }));
+    } catch (e) {
+      Array.isArray(e) ? errors.push(...e) : errors.push(e);
+    }
+
+    try  {
+      enforce(dataToCheck, $rules);
+    } catch (e) {
+      errors.push(...e)
+    }
+  });
+
+  return { errors, dataToCheck, $asyncRules, promises, $messages, locale };
+};
+
+/**
+ * @summary Check that data matches a [schema](#matchpatterns).
+ * If the data does not match the schema, throw a `Validation Error`.
+ * Async where functions are skipped. Use checkAsync to await them.
+ *
+ * @param {Any} data The data to check
+ * @param {MatchPattern} schema The schema to match `data` against
+ * @param {Object} [options]
+ * @param {boolean} [options.transform=false] If true, the schema's String transforms, e.g. trim, are applied to `data` before it's checked. This mutates `data`.
+ * @param {string | Function} [options.locale] The locale of the error messages. Defaults to the locale set with EasySchema.configure.
+ */
+export const check = (data, schema, options) => { // the only reason we don't have this in shared is to reduce bundle size on the client
+  const { errors, $messages, locale } = findErrors(data, schema, options);
+
+  if (errors.length) {
+    throw new ValidationError(formatErrors(errors, $messages, locale));
   }
 
-  try  {
-    enforce(dataToCheck, $rules);
+  return;
+};
+
+/**
+ * @summary Check that data matches a [schema](#matchpatterns), including any async where functions which are awaited in parallel.
+ * If the data does not match the schema, throw a `Validation Error`.
+ *
+ * @param {Any} data The data to check
+ * @param {MatchPattern} schema The schema to match `data` against
+ * @param {Object} [options]
+ * @param {boolean} [options.transform=false] If true, the schema's String transforms, e.g. trim, are applied to `data` before it's checked. This mutates `data`.
+ * @param {string | Function} [options.locale] The locale of the error messages. Defaults to the locale set with EasySchema.configure.
+ * @returns {Promise<void>}
+ */
+export const checkAsync = async (data, schema, options) => {
+  const { errors, dataToCheck, $asyncRules, promises, $messages, locale } = findErrors(data, schema, options);
+
+  try {
+    await enforceAsync(dataToCheck, $asyncRules, errors, promises);
   } catch (e) {
     errors.push(...e)
   }
 
   if (errors.length) {
-    throw new ValidationError(formatErrors(errors));
+    throw new ValidationError(formatErrors(errors, $messages, locale));
   }
 
   return;
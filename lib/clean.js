@@ -0,0 +1,166 @@
+import { getValue, isArray, isConditions, Integer, Any, Long, _meta, _source } from './shape';
+import { isObject, hasOperators } from './utils/shared';
+import { formats } from './formats';
+const { Decimal } = Package['mongo-decimal'] ? require('meteor/mongo-decimal') : {};
+
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i; // unlike Number(), this doesn't accept hex, binary, or whitespace-only strings
+const INTEGER = /^[+-]?\d+$/;
+
+export const unwrap = p => { // gets to the underlying pattern of Optional, Nullable, Lazy, and fluent schemas
+  const { value, optional, anyOf, nullable, lazy } = getValue(p);
+  return anyOf ? p : optional ? unwrap(value) : nullable ? unwrap(value[_meta].pattern) : lazy ? unwrap(value[_meta].getter()) : value;
+};
+
+export const child = (p, key) => { // the pattern for a key or array position within p
+  const node = unwrap(p);
+  const { kind, args, valuePattern } = (node && node[_meta]) || {};
+
+  if (isConditions(node)) return child(node.type, key) ?? (node.extra ? Any : undefined);
+  if (kind === 'Tuple') return args[key];
+  if (kind === 'Record') return valuePattern;
+  if (kind || getValue(node).anyOf || [Object, Array, Any].includes(node)) return Any; // we can't tell which pattern applies so the value is kept as is
+  if (isArray(node)) return isArray(node[0]) ? Any : node[0];
+  if (isObject(node)) return node[key];
+  return undefined;
+};
+
+const staticDefault = p => { // defaults that are functions, or Dates which are treated as "now", are left for inserts to fill in
+  const node = unwrap(p);
+  const value = isConditions(node) ? node.default : undefined;
+  if (value === undefined || typeof value === 'function' || value instanceof Date) return undefined;
+  return Array.isArray(value) ? [...value] : isObject(value) ? { ...value } : value;
+};
+
+const coerce = (x, type) => {
+  if (type === String) return ['number', 'boolean', 'bigint'].includes(typeof x) ? String(x) : x;
+
+  if (typeof x === 'string') {
+    const s = x.trim();
+    if (type === Number) return NUMBER.test(s) ? Number(s) : x;
+    if (type === Integer) return INTEGER.test(s) ? Number(s) : x;
+    if (type === Long) return INTEGER.test(s) ? BigInt(s) : x;
+    if (type === Boolean) return s.toLowerCase() === 'true' ? true : s.toLowerCase() === 'false' ? false : x;
+    if (type === Date) return formats['iso-date'].regex.test(s) ? new Date(s) : x;
+    if (Decimal && type === Decimal) return NUMBER.test(s) ? Decimal(s) : x;
+  }
+
+  if (typeof x === 'number') {
+    if (type === Date) return new Date(x);
+    if (type === Long) return Number.isSafeInteger(x) ? BigInt(x) : x;
+    if (Decimal && type === Decimal) return Decimal(x);
+  }
+
+  return x;
+};
+
+const cleanObject = (x, fields, extra, options) => {
+  if (!isObject(x)) return x;
+
+  const result = {};
+  for (const [k, v] of Object.entries(x)) {
+    if (!(k in fields)) {
+      if (extra || !options.removeUnknown) result[k] = v;
+      continue;
+    }
+
+    const value = cleanValue(v, fields[k], options);
+    if (value === '' && options.removeEmptyStrings) continue;
+    result[k] = value;
+  }
+
+  if (options.defaults) {
+    for (const [k, p] of Object.entries(fields)) {
+      if (result[k] !== undefined) continue;
+
+      const value = staticDefault(p);
+      if (value !== undefined) result[k] = value;
+    }
+  }
+
+  return result;
+};
+
+const cleanValue = (x, p, options) => {
+  if (x === null || x === undefined) return x;
+
+  const node = unwrap(p);
+  const { kind, ...meta } = (node && node[_meta]) || {};
+
+  if (kind === 'Union') {
+    const branch = isObject(x) && meta.branches[x[meta.key]];
+    return branch ? cleanObject(x, { ...branch, [meta.key]: Any }, false, options) : x;
+  }
+  if (kind === 'Tuple') return Array.isArray(x) ? x.map((item, i) => i < meta.args.length ? cleanValue(item, meta.args[i], options) : item) : x;
+  if (kind === 'Record') {
+    if (!isObject(x)) return x;
+    return Object.fromEntries(Object.entries(x).map(([k, v]) => [k, cleanValue(v, meta.valuePattern, options)]).filter(([, v]) => !(v === '' && options.removeEmptyStrings)));
+  }
+  if (kind) return x; // AllOf, Not, and Literal are left as is since there's no single type to coerce to
+
+  if (isConditions(node)) {
+    const { value: type } = getValue(node.type);
+    return isObject(type) && !isConditions(type) ? cleanObject(x, type, node.extra, options) : cleanValue(x, node.type, options);
+  }
+  if (isArray(node)) return Array.isArray(x) && !isArray(node[0]) ? x.map(item => cleanValue(item, node[0], options)) : x;
+  if (isObject(node)) return cleanObject(x, node, false, options);
+  if (getValue(node).anyOf) return x;
+
+  return options.coerce ? coerce(x, node) : x;
+};
+
+const patternAt = (schema, path) => path.split('.').reduce((p, key) => p === undefined ? undefined : child(p, key), schema); // handles dot notation including positional operators, e.g. 'items.$.name'
+
+const UPDATE_OPERATORS = {
+  $set: 'field',
+  $setOnInsert: 'field',
+  $inc: 'field',
+  $mul: 'field',
+  $min: 'field',
+  $max: 'field',
+  $push: 'item',
+  $addToSet: 'item'
+}; // others, e.g. $unset and $pull, are passed through as is
+
+const cleanModifier = (modifier, schema, options) => Object.entries(modifier).reduce((acc, [op, fields]) => {
+  const target = UPDATE_OPERATORS[op];
+  if (!target || !isObject(fields)) {
+    acc[op] = fields;
+    return acc;
+  }
+
+  const result = {};
+  for (const [path, v] of Object.entries(fields)) {
+    const p = patternAt(schema, path);
+    if (p === undefined) {
+      if (!options.removeUnknown) result[path] = v;
+      continue;
+    }
+
+    const itemPattern = target === 'item' ? child(p, '$') : p;
+    const value = target === 'item' && isObject(v) && Array.isArray(v.$each) ? { ...v, $each: v.$each.map(i => cleanValue(i, itemPattern, options)) } : cleanValue(v, itemPattern, options);
+    if (value === '' && options.removeEmptyStrings) continue;
+    result[path] = value;
+  }
+
+  if (Object.keys(result).length) acc[op] = result;
+  return acc;
+}, {});
+
+/**
+ * Cleans data against a schema. The data is not mutated.
+ *
+ * @param {Object} data - A document or an update modifier, e.g. {$set: {...}}
+ * @param {Object} schema - A schema or a collection's schema, e.g. Todos.schema
+ * @param {Object} [options] - Options object.
+ * @param {boolean} [options.coerce=true] - Converts values to the schema's type when it's safe to, e.g. '42' to 42 for a Number.
+ * @param {boolean} [options.removeUnknown=true] - Removes keys that aren't in the schema unless the object allows extra keys.
+ * @param {boolean} [options.removeEmptyStrings=true] - Removes keys whose value is an empty string.
+ * @param {boolean} [options.defaults=true] - Fills in defaults that aren't functions. Doesn't apply to update modifiers.
+ * @returns {Object} The cleaned data.
+ */
+export const clean = (data, schema, { coerce = true, removeUnknown = true, removeEmptyStrings = true, defaults = true } = {}) => {
+  const source = schema[_source] || schema; // a shaped schema, e.g. a collection's schema, is cleaned against the schema it was shaped from
+  const options = { coerce, removeUnknown, removeEmptyStrings, defaults };
+
+  return hasOperators(data) ? cleanModifier(data, source, options) : cleanObject(data, source, false, options);
+};
@@ -1,13 +1,23 @@
 import { check as c, Match } from 'meteor/check';
+import { registerType as register } from '../shape';
+import { addMessages } from '../messages';
 
 export const config = { // most configs are on the server only
   base: {},
+  locale: 'en'
 };
 
-export const configure = options => {
+export const configure = ({ messages, ...options }) => {
   c(options, Match.ObjectIncluding({
     base: Match.Maybe(Object),
+    locale: Match.Maybe(Match.OneOf(String, Function))
   }));
 
+  if (messages) {
+    addMessages(messages);
+  }
+
   return Object.assign(config, options);
 }
+
+export const registerType = (name, { bsonType, ...options } = {}) => register(name, options); // bsonType is only used for the Mongo JSON Schema on the server
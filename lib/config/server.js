@@ -1,5 +1,7 @@
 import { check as c, Match } from 'meteor/check';
 import { isEmpty } from '../utils/shared';
+import { registerType as register } from '../shape';
+import { addMessages } from '../messages';
 
 export const config = {
   base: {},
@@ -7,7 +9,8 @@ export const config = {
   autoAttachJSONSchema: true,
   validationAction: 'error',
   validationLevel: 'strict',
-  additionalBsonTypes: {} // allows user to set additional key, value pairs in typeMap
+  additionalBsonTypes: {}, // allows user to set additional key, value pairs in typeMap
+  locale: 'en' // can be a function that's passed the current method invocation
 };
 
 export const typeMap = {
@@ -21,7 +24,8 @@ export const typeMap = {
   Array: 'array',
   ['__integer__']: 'int', // int for mongo, integer for jsonschema,
   Decimal: 'decimal', // only avaiable when using the mongo-decimal package
-  // BigInt: 'long' // untested, commenting out for now. also the team that works on the mongo node driver is working on some things around this so let's wait to see what they do. https://jira.mongodb.org/browse/NODE-3126
+  Long: 'long', // BigInts are stored as longs by the mongo node driver
+  Binary: 'binData'
 };
 
 /**
@@ -33,24 +37,49 @@ export const typeMap = {
  *   autoAttachJSONSchema: (boolean|undefined),
  *   validationAction: (string|undefined),
  *   validationLevel: (string|undefined),
- *   additionalBsonTypes: (Object|undefined)
- * }} options - Configuration options.
+ *   additionalBsonTypes: (Object|undefined),
+ *   messages: (Object|undefined),
+ *   locale: (string|Function|undefined)
+ * }} options - Configuration options. messages are merged into the catalog by locale, e.g. {fr: {required: 'est obligatoire'}}.
  *
  * @returns {Object} - The updated configuration object.
  */
-export const configure = options => {
+export const configure = ({ messages, ...options }) => {
   c(options, {
     base: Match.Maybe(Object),
     autoCheck: Match.Maybe(Boolean),
     autoAttachJSONSchema: Match.Maybe(Boolean),
     validationAction: Match.Maybe(String),
     validationLevel: Match.Maybe(String),
-    additionalBsonTypes: Match.Maybe(Object)
+    additionalBsonTypes: Match.Maybe(Object),
+    locale: Match.Maybe(Match.OneOf(String, Function))
   });
 
+  if (messages) {
+    addMessages(messages);
+  }
+
   if (!isEmpty(options.additionalBsonTypes)) {
     Object.assign(typeMap, options.additionalBsonTypes)
   }
 
   return Object.assign(config, options);
 }
+
+/**
+ * Registers a custom type so that it can be used like the built-in types, e.g. with [has] and conditions.
+ *
+ * @param {string} name - The name of the type which is used in error messages, e.g. 'must be a Money'.
+ * @param {Object} options - Options object.
+ * @param {(value: any) => boolean} options.test - Returns true if the value is of this type.
+ * @param {string[]} [options.conditions=[]] - The built-in conditions that apply to this type, e.g. ['min', 'max']. default, enums, and where always apply.
+ * @param {string} [options.bsonType] - The bsonType for the Mongo JSON Schema, e.g. 'string'.
+ * @param {Object} [options.jsonSchema] - Additional JSON Schema keywords for this type, e.g. {pattern: '^[A-Z]{3}$'}.
+ * @returns {Object} The type to use in a schema.
+ */
+export const registerType = (name, { bsonType, ...options } = {}) => {
+  const type = register(name, options);
+  if (bsonType) typeMap[name] = bsonType;
+
+  return type;
+};
@@ -0,0 +1,47 @@
+// Built-in string formats. Each regex is written so that its source can also be used as a Mongo JSON Schema pattern, i.e. no flags.
+const label = '[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?'; // a single hostname label, e.g. the "www" in www.example.com
+const ipv4 = '(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)(?:\\.(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)){3}';
+const h16 = '[0-9a-fA-F]{1,4}';
+const ipv6 = [
+  `(?:${h16}:){7}${h16}`,
+  `(?:${h16}:){1,7}:`,
+  `(?:${h16}:){1,6}:${h16}`,
+  `(?:${h16}:){1,5}(?::${h16}){1,2}`,
+  `(?:${h16}:){1,4}(?::${h16}){1,3}`,
+  `(?:${h16}:){1,3}(?::${h16}){1,4}`,
+  `(?:${h16}:){1,2}(?::${h16}){1,5}`,
+  `${h16}:(?::${h16}){1,6}`,
+  `:(?:(?::${h16}){1,7}|:)`,
+  `(?:${h16}:){6}${ipv4}`,
+  `::(?:[fF]{4}(?::0{1,4})?:)?${ipv4}`,
+  `(?:${h16}:){1,4}:${ipv4}`
+].join('|');
+const leapYear = '(?:\\d{2}(?:0[48]|[2468][048]|[13579][26])|(?:[02468][048]|[13579][26])00)';
+const date = `(?:\\d{4}-(?:(?:0[13578]|1[02])-(?:0[1-9]|[12]\\d|3[01])|(?:0[469]|11)-(?:0[1-9]|[12]\\d|30)|02-(?:0[1-9]|1\\d|2[0-8]))|${leapYear}-02-29)`; // the days are checked against the month, e.g. 2020-02-31 isn't a date
+
+export const formats = {
+  email: {
+    regex: new RegExp(`^[a-zA-Z0-9.!#$%&'*+/=?^_\`{|}~-]+@${label}(?:\\.${label})+$`),
+    description: 'email address'
+  },
+  url: {
+    regex: new RegExp(`^https?://(?:localhost|(?:${label}\\.)+[a-zA-Z]{2,63}|${ipv4})(?::\\d{1,5})?(?:[/?#]\\S*)?$`),
+    description: 'URL'
+  },
+  uuid: {
+    regex: /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[1-8][0-9a-fA-F]{3}-[89abAB][0-9a-fA-F]{3}-[0-9a-fA-F]{12}$/,
+    description: 'UUID'
+  },
+  'iso-date': {
+    regex: new RegExp(`^${date}(?:T(?:[01]\\d|2[0-3]):[0-5]\\d(?::[0-5]\\d(?:\\.\\d+)?)?(?:Z|[+-](?:[01]\\d|2[0-3]):[0-5]\\d)?)?$`),
+    description: 'ISO 8601 date'
+  },
+  hostname: {
+    regex: new RegExp(`^(?=.{1,253}$)${label}(?:\\.${label})*$`),
+    description: 'hostname'
+  },
+  ip: {
+    regex: new RegExp(`^(?:${ipv4}|${ipv6})$`),
+    description: 'IP address'
+  }
+};
@@ -0,0 +1,107 @@
+import { DDP } from 'meteor/ddp-client';
+
+// the default error messages by locale. {{label}} is the field's label or key and the other placeholders are filled in with the condition's values.
+// a placeholder that doesn't have a value is removed along with the space before it, e.g. {{unit}} for a Number.
+export const messages = {
+  en: {
+    field: '{{label}} {{message}}',
+    and: ' and ',
+    required: 'is required',
+    type: 'must be a {{type}}',
+    typeActual: 'must be a {{type}}, not {{actual}}',
+    empty: 'cannot be empty',
+    min: 'must be at least {{min}} {{unit}}',
+    max: 'must be at most {{max}} {{unit}}',
+    minMax: 'must be at least {{min}} {{unit}} and at most {{max}} {{unit}}',
+    characters: 'characters',
+    items: 'items',
+    item: 'item',
+    properties: 'properties',
+    bytes: 'bytes',
+    dateMin: 'must be {{min}}',
+    dateMax: 'must be {{max}}',
+    dateMinMax: 'must be {{min}} and {{max}}',
+    future: 'in the future',
+    past: 'in the past',
+    after: 'on or after {{date}}',
+    before: 'on or before {{date}}',
+    gt: 'must be greater than {{gt}}',
+    lt: 'must be less than {{lt}}',
+    gtLt: 'must be greater than {{gt}} and less than {{lt}}',
+    multipleOf: 'must be a multiple of {{multipleOf}}',
+    enums: 'must have an allowed value, not {{value}}',
+    regex: 'must match regex {{regex}}',
+    format: 'must be a valid {{description}}',
+    uniqueItems: 'must have unique items',
+    unique: 'must be unique',
+    contains: 'must contain an item matching the contains pattern',
+    minContains: 'must contain at least {{min}} items matching the contains pattern',
+    maxContains: 'must contain at most {{max}} {{unit}} matching the contains pattern',
+    condition: 'must satisfy the {{condition}} condition',
+    union: 'must match one of the {{key}} branches: {{tags}}',
+    unionTag: 'must be one of {{tags}}',
+    not: 'is not allowed',
+    literal: 'must be {{value}}',
+    tuple: 'must have {{count}} {{unit}}',
+    tupleRange: 'must have between {{min}} and {{max}} {{unit}}',
+    tupleMax: 'must have at most {{max}} {{unit}}',
+    recordMin: 'must have at least {{min}} keys',
+    recordMax: 'must have at most {{max}} keys',
+    recordMinMax: 'must have at least {{min}} and at most {{max}} keys',
+    recordKey: 'is not an allowed key',
+    lazy: 'cannot be nested more than {{depth}} levels deep'
+  }
+};
+
+let current; // the locale of the check that's running. validate runs inside of Match so it can't be passed in.
+
+/**
+ * Adds messages to the catalog. Messages for a locale that already exists are merged into it.
+ *
+ * @param {Object} catalogs - Messages by locale, e.g. {fr: {required: 'est obligatoire'}}.
+ */
+export const addMessages = catalogs => {
+  for (const [ locale, m ] of Object.entries(catalogs)) {
+    messages[locale] = { ...messages[locale], ...m };
+  }
+};
+
+/**
+ * Resolves a locale that can be a function of the current method invocation, e.g. invocation => invocation?.connection.httpHeaders['accept-language'].
+ *
+ * @param {string | ((invocation: Object | undefined) => string)} [locale]
+ * @returns {string | undefined}
+ */
+export const resolveLocale = locale => typeof locale === 'function' ? locale(DDP._CurrentInvocation.get()) : locale;
+
+/**
+ * Runs fn with the locale so that the messages created by validate use it.
+ *
+ * @param {string} [locale]
+ * @param {Function} fn
+ */
+export const withLocale = (locale, fn) => {
+  const previous = current;
+  current = locale;
+
+  try {
+    return fn();
+  } finally {
+    current = previous;
+  }
+};
+
+const findCatalog = locale => messages[locale] || (locale && messages[locale.split('-')[0]]) || messages.en; // e.g. fr-CA falls back to fr and then to en
+
+/**
+ * Creates a message from the catalog.
+ *
+ * @param {string} key - The key of the message, e.g. 'min'.
+ * @param {Object} [params={}] - The values for the placeholders, e.g. {min: 2}.
+ * @param {string} [locale] - Defaults to the locale of the check that's running.
+ * @returns {string}
+ */
+export const t = (key, params = {}, locale = current) => {
+  const template = findCatalog(locale)[key] ?? messages.en[key];
+  return template.replace(/ ?{{(\w+)}}/g, (match, p) => (params[p] === undefined || params[p] === '') ? '' : match.replace(`{{${p}}}`, () => params[p])); // a function so that $ in a value, e.g. a regex, isn't treated as a replacement pattern
+};
@@ -2,8 +2,9 @@ import { Meteor } from 'meteor/meteor';
 import { Mongo } from 'meteor/mongo';
 import { setDefaults } from '../defaults/client';
 import { hasOperators } from '../utils/shared';
+import { applyTransforms } from '../transforms';
 
-// Apply defaults, if any, that have been defined in the schema prior to insert / update / upsert
+// Apply defaults and transforms, if any, that have been defined in the schema prior to insert / update / upsert
 const writeMethods = ['insert', 'update'].map(m => Meteor.isFibersDisabled ? `${m}Async` : m); // Meteor.isFibersDisabled = true in Meteor 3+, eventually remove this .map when Meteor drops *Async post 3.0. upsert will run through update so we don't need to add it explicitly here.
 Meteor.startup(() => {
   writeMethods.forEach(methodName => {
@@ -19,9 +20,10 @@ Meteor.startup(() => {
       const isUpdate = ['update', 'updateAsync'].includes(methodName);
       const isUpsert = isUpdate && args[2]?.upsert;
       const isReplace = isUpdate && !hasOperators(args[1]);
-      const { $defaults } = schema;
+      const { $defaults, $transforms } = schema;
 
       setDefaults({ $defaults, args, isUpdate, isUpsert, isReplace });
+      applyTransforms(isUpdate ? args[1] : args[0], $transforms);
 
       const { autoCheck = true } = args[args.length - 1] || {};
       if (!autoCheck && !Meteor.isFibersDisabled && !isUpdate && args.length > 1) {
@@ -2,11 +2,31 @@ import { Meteor } from 'meteor/meteor';
 import { Mongo } from 'meteor/mongo';
 import { config } from '../config/server';
 import { setDefaults } from '../defaults/server';
-import { hasOperators } from '../utils/shared';
-import { check } from '../check/server';
+import { hasOperators, formatErrors } from '../utils/shared';
+import { applyTransforms } from '../transforms';
+import { checkAsync } from '../check/server';
+import { createUniqueIndexes } from '../attach/server';
+import { _source } from '../shape';
+import { ValidationError } from 'meteor/mdg:validation-error';
+import { t, resolveLocale } from '../messages';
+
+const DUPLICATE_KEY = 11000;
+
+// turns a duplicate key error from a unique index into a ValidationError like the ones check throws
+const toValidationError = (error, schema) => {
+  if (!error || error.code !== DUPLICATE_KEY || !error.keyPattern || !schema[_source]) return error;
+
+  const [ path ] = Object.keys(error.keyPattern);
+  const index = createUniqueIndexes(schema[_source]).find(({ key }) => Object.keys(key)[0] === path);
+  if (!index) return error; // e.g. a duplicate _id or an index that wasn't created from the schema
+
+  const { message } = index;
+  const locale = resolveLocale(config.locale);
+  return new ValidationError(formatErrors([{ path, message: message ? `w: ${message}` : t('unique', {}, locale) }], schema.$messages, locale));
+};
 
 // Wrap DB write operation methods
-// Apply defaults, if any, and validate the data prior to insert / update / upsert
+// Apply defaults and transforms, if any, and validate the data prior to insert / update / upsert
 const writeMethods = ['insert', 'update'].map(m => Meteor.isFibersDisabled ? `${m}Async` : m); // Meteor.isFibersDisabled = true in Meteor 3+, eventually remove this .map when Meteor drops *Async post 3.0. upsert will run through update so we don't need to add it explicitly here.
 Meteor.startup(() => {
   writeMethods.forEach(methodName => {
@@ -30,25 +50,34 @@ Meteor.startup(() => {
       const isUpsert = isUpdate && args[2]?.upsert;
       const isReplace = isUpdate && !hasOperators(args[1]);
 
-      const { $defaults, ...schemaRest } = schema; // $defaults is only on schema as an optimization
+      const { $defaults, $transforms, ...schemaRest } = schema; // $defaults and $transforms are only on schema as an optimization
       const schemaToCheck = isUpdate && !isReplace ? _schemaDeepOptional : schemaRest;
       if (isUpdate && schema.$rules) schemaToCheck['$rules'] = schema.$rules; // $rules is only on schema but we want to put them on _schemaDeepOptional when we pass it into check
 
       await setDefaults({ $defaults, args, isUpdate, isUpsert, isReplace });
+      applyTransforms(isUpdate ? args[1] : args[0], $transforms);
 
       const { autoCheck = true } = args[args.length - 1] || {};
 
+      const write = async () => {
+        try {
+          return await method.apply(collection, args);
+        } catch (error) {
+          throw toValidationError(error, schema);
+        }
+      };
+
       if (!autoCheck || !config.autoCheck) {
         if (!Meteor.isFibersDisabled && !isUpdate && args.length > 1) delete args[args.length - 1]; // in 2.x insert doesn't have options so we need to remove it
-        return method.apply(collection, args);
+        return write();
       }
 
       const data = isUpsert ? { ...(typeof args[0] === 'string' ? { _id: args[0] } : args[0]), ...args[1] } : isUpdate ? args[1] : args[0]; // the typeof check for upsert allows using the shorthand _id
       const full = isReplace || !isUpdate;
 
-      check(data, schemaToCheck, { full });
+      await checkAsync(data, schemaToCheck, { full }); // awaits async where functions, if any
 
-      return method.apply(collection, args);
+      return write();
     }
   });
 });
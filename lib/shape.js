@@ -1,23 +1,42 @@
 import { check as c, Match } from 'meteor/check';
 import { MongoID } from 'meteor/mongo-id';
 import { pick, isObject, isEmpty, isEqual, extract } from './utils/shared';
+import { formats } from './formats';
+import { t } from './messages';
 const { Decimal } = Package['mongo-decimal'] ? require('meteor/mongo-decimal') : {};
 
 export const has = Symbol('has');
 export const _shaped = Symbol('_shaped');
+export const _source = Symbol('_source'); // the schema that a shaped schema was shaped from
+export const _meta = Symbol('_meta'); // describes matchers built by this package, e.g. Union, so that they can be reshaped and converted to JSON Schema
 export const REQUIRED = 'Missing key';
 export const ID_PATTERN = /^[23456789ABCDEFGHJKLMNPQRSTWXYZabcdefghijkmnopqrstuvwxyz]{17}$/; // matches Meteor-generated _ids
 export const Integer = Match.Integer; // matches only signed 32-bit integers
 export const Any = Match.Any;
 export const ID = Match.Where(id => typeof id === 'string' && ID_PATTERN.test(id));
 export const ObjectID = Match.Where(id => id instanceof MongoID.ObjectID);
+export const Binary = Match.Where(x => x instanceof Uint8Array || (!!x && x._bsontype === 'Binary')); // matches binary data as a Uint8Array or a Mongo Binary
+export const Long = Match.Where(x => (typeof x === 'bigint' && BigInt.asIntN(64, x) === x) || (!!x && x._bsontype === 'Long')); // matches a signed 64-bit integer as a BigInt or a Mongo Long
 export const Optional = (type) => Match.Maybe(type);
 export const AnyOf = (...args) => Match.OneOf(...args); // Match.OneOf is equivalent to JSON Schema's AnyOf.
-export const Where = ({type, ...conditions}) => Match.Where(x => validate({x, type, ...conditions})); // exported for testing only
+export const AllOf = (...args) => createAllOf(args); // equivalent to JSON Schema's allOf. Objects are intersected, e.g. AllOf({name: String}, {age: Number}) matches {name: 'Bob', age: 30}
+export const Not = pattern => createNot(pattern); // equivalent to JSON Schema's not
+export const Tuple = (...args) => createTuple(args); // a fixed length array where each position has its own pattern, e.g. Tuple(String, Integer) matches ['a', 1]
+export const Record = (keyPattern, valuePattern, options) => createRecord(keyPattern, valuePattern, options); // an object with arbitrary keys that match keyPattern, e.g. Record(ID, {role: String})
+export const Lazy = (getter, options) => createLazy(getter, options); // defers getting the schema until check time so that a schema can refer to itself, e.g. {children: [Lazy(() => nodeSchema)]}
+export const Literal = value => createLiteral(value); // matches exactly the value. primitives in a schema, e.g. {version: 'v2'}, are treated as Literals
+export const Nullable = pattern => createNullable(pattern); // unlike Optional, the key must be present but its value can be null
+export const Union = (key, branches) => createUnion(key, branches); // a discriminated union where the value of key determines which branch to validate against
+export const Where = ({type, ...conditions}, schemaPath) => { // exported for testing only. schemaPath is used to find the path of a promise returned by a where
+  const containsPattern = conditions.contains !== undefined ? toPattern(splitContains(conditions.contains)[0]) : undefined; // shaped once when the schema is built rather than on every check
+  return Match.Where(x => validate({x, type, ...conditions, containsPattern, schemaPath}));
+};
 export const isArray = a => Array.isArray(a) && (a !== Integer) && (a !== Any); // Match.Integer is technically modeled as an array so we need to make sure it's excluded
 
-const TYPES = [String, Date, Number, Boolean, Array, Object, Integer, ID, ObjectID, ...(Decimal ? [ Decimal ] : []) ];
-const MIN_MAX_TYPES = [String, Number, Array, Object, Integer, ...(Decimal ? [ Decimal ] : [])];
+const TYPES = [String, Date, Number, Boolean, Array, Object, Integer, ID, ObjectID, Long, Binary, ...(Decimal ? [ Decimal ] : []) ];
+const MIN_MAX_TYPES = [String, Number, Array, Object, Integer, Long, Binary, Date, ...(Decimal ? [ Decimal ] : [])];
+const NUMBER_TYPES = [Number, Integer, ...(Decimal ? [ Decimal ] : [])];
+const UNIQUE_TYPES = [String, Number, Integer, Date, ID, ObjectID, Long, Array, ...(Decimal ? [ Decimal ] : [])]; // for an Array, the items must be unique. for the others, the value must be unique across the collection
 
 const CONDITIONS_MAP = {
   default: TYPES,
@@ -25,14 +44,62 @@ const CONDITIONS_MAP = {
   where: TYPES,
   min: MIN_MAX_TYPES,
   max: MIN_MAX_TYPES,
+  gt: NUMBER_TYPES,
+  lt: NUMBER_TYPES,
+  multipleOf: NUMBER_TYPES,
   only: [Array, Object],
   regex: [String],
-  unique: [Array],
-  extra: [Object]
+  format: [String],
+  unique: UNIQUE_TYPES,
+  contains: [Array],
+  minContains: [Array],
+  maxContains: [Array],
+  extra: [Object],
+  trim: [String],
+  lowercase: [String],
+  uppercase: [String],
+  normalize: [String],
+  index: TYPES,
+  ttl: [Date],
+  text: [String],
+  label: TYPES,
+  required: TYPES,
+  typeError: TYPES
 };
 
+const TRANSFORMS = ['trim', 'lowercase', 'uppercase', 'normalize']; // these change the value before it's checked rather than validating it
+const INDEXES = ['index', 'ttl', 'text']; // these declare indexes for the collection rather than validating the value
+const MESSAGES = ['label', 'required', 'typeError']; // these customize the error messages of a field
+
 export const ALLOWED = Object.keys(CONDITIONS_MAP).filter(k => k !== 'only'); // only is used for syntax sugar and doesn't map to an actual condition
 
+const isBoolean = v => typeof v === 'boolean';
+const isBooleanOrObject = v => isBoolean(v) || isObject(v);
+const isString = v => typeof v === 'string';
+const isBound = v => typeof v === 'number' || (Decimal && v instanceof Decimal);
+const orWithMessage = test => v => test(Array.isArray(v) && v.length === 2 && isString(v[1]) ? v[0] : v); // e.g. format: ['email', 'Must be an email']
+const CONDITION_VALUES = { // these are common field names, e.g. {type: String, label: String}, so they're only conditions when their value has the expected shape
+  trim: isBoolean,
+  lowercase: isBoolean,
+  uppercase: isBoolean,
+  normalize: v => v === true || isString(v),
+  index: isBooleanOrObject,
+  ttl: v => typeof v === 'number',
+  text: isBooleanOrObject,
+  label: isString,
+  required: isString,
+  typeError: isString,
+  format: orWithMessage(isString),
+  gt: orWithMessage(isBound),
+  lt: orWithMessage(isBound),
+  multipleOf: orWithMessage(isBound),
+  contains: (v, { type }) => { const { value } = getValue(type); return value === Array || isArray(value); }, // contains takes any pattern so it's a condition when the type is an Array
+  minContains: orWithMessage(Number.isInteger),
+  maxContains: orWithMessage(Number.isInteger)
+};
+
+export const isConditions = v => isObject(v) && v.hasOwnProperty('type') && Object.entries(v).every(([ k, c ]) => k === 'type' || (ALLOWED.includes(k) && (!CONDITION_VALUES[k] || CONDITION_VALUES[k](c, v)))); // {type: ..., ...conditions} as opposed to a POJO of fields
+
 /// fluent syntax sugar
 
 /**
@@ -44,6 +111,23 @@ export const ALLOWED = Object.keys(CONDITIONS_MAP).filter(k => k !== 'only'); //
  * @template T
  * Fluent schema builder for various types.
  */
+const assertFormat = format => { // checked when the schema is defined rather than when data is checked so that a typo surfaces right away
+  const [ f ] = Array.isArray(format) ? format : [format];
+  if (!formats[f]) throw new Error(`Unknown format '${f}'. Available formats are: ${Object.keys(formats).join(', ')}`);
+};
+
+const OFFSETS = { weeks: 6048e5, days: 864e5, hours: 36e5, minutes: 6e4, seconds: 1e3 }; // in milliseconds
+
+const assertOffset = bound => { // a Date min / max can be an offset from now, e.g. {days: 30}
+  const [ b ] = Array.isArray(bound) ? bound : [bound];
+  const unknown = isObject(b) && Object.keys(b).find(unit => !['years', 'months'].includes(unit) && !OFFSETS[unit]);
+  if (unknown) throw new Error(`Unknown date offset '${unknown}'. Available offsets are: years, months, ${Object.keys(OFFSETS).join(', ')}`);
+};
+
+const assertValue = (key, schema) => { // the fluent syntax isn't ambiguous like {type: String, label: String} so a value with the wrong shape is a mistake
+  if (CONDITION_VALUES[key] && !CONDITION_VALUES[key](schema[key], schema)) throw new Error(`Invalid value for '${key}': ${schema[key]}`);
+};
+
 class Schema { // using a class to make chaining easy
   #schema;
 
@@ -58,9 +142,9 @@ class Schema { // using a class to make chaining easy
     for (const [key, types] of Object.entries(CONDITIONS_MAP)) {
       if (!types.includes(type)) continue;
 
-      if (['where', 'default', 'only', 'extra'].includes(key)) {
+      if (['where', 'default', 'only', 'extra', ...MESSAGES, ...TRANSFORMS, ...INDEXES].includes(key)) {
         /**
-         * Adds a condition to the schema for the `where`, `default`, `only`, and `extra`.
+         * Adds a condition to the schema for the `where`, `default`, `only`, `extra`, the messages, e.g. `label`, the String transforms, e.g. `trim`, and the indexes, e.g. `index`.
          * These methods only accept a value and no custom error message.
          * @param {any} value - The value for the condition.
          * @returns {Schema<T>} - The schema instance for chaining.
@@ -71,7 +155,8 @@ class Schema { // using a class to make chaining easy
             return this;
           }
 
-          this.#schema[key] =  key === 'extra' ? value ?? true : value;
+          this.#schema[key] = key === 'normalize' ? value ?? 'NFC' : ['extra', 'index', 'text', ...TRANSFORMS].includes(key) ? value ?? true : value;
+          assertValue(key, this.#schema);
           return this;
         };
       } else {
@@ -82,12 +167,31 @@ class Schema { // using a class to make chaining easy
          * @returns {Schema<T>} - The schema instance for chaining.
          */
         this[key] = (value, message) => {
-          const v = key === 'unique' ? value ?? true : value;
+          if (key === 'format') assertFormat(value);
+          if (type === Date && ['min', 'max'].includes(key)) assertOffset(value);
+          const v = (key === 'unique' || customConditions[key]) ? value ?? true : value; // a custom condition without a value, e.g. .slug(), is turned on
           this.#schema[key] = message ? [v, message] : v;
+          assertValue(key, this.#schema);
           return this;
         };
       }
     }
+
+    if (type === Date) {
+      /**
+       * Requires the date to be in the past. Equivalent to max('now').
+       * @param {string} [message] - Optional custom error message for validation.
+       * @returns {Schema<T>} - The schema instance for chaining.
+       */
+      this.past = message => this.max('now', message);
+
+      /**
+       * Requires the date to be in the future. Equivalent to min('now').
+       * @param {string} [message] - Optional custom error message for validation.
+       * @returns {Schema<T>} - The schema instance for chaining.
+       */
+      this.future = message => this.min('now', message);
+    }
   }
 
   /**
@@ -100,31 +204,357 @@ class Schema { // using a class to make chaining easy
   }
 }
 
-for (const type of TYPES) {
-  Object.defineProperty(type, has, {
-    configurable: true,
-    get() {
-      return new Schema(type);
-    }
-  });
-}
+const addHas = type => Object.defineProperty(type, has, {
+  configurable: true,
+  get() {
+    return new Schema(type);
+  }
+});
+
+TYPES.forEach(addHas);
 
 Meteor.startup(() => { for (const type of TYPES) delete type[has] });
 ///
 
+const registered = {}; // custom types by name
+export const customConditions = {}; // custom conditions by name
+
+/**
+ * Registers a custom type so that it can be used like the built-in types, e.g. with [has] and conditions.
+ *
+ * @param {string} name - The name of the type which is used in error messages, e.g. 'must be a Money'.
+ * @param {Object} options - Options object.
+ * @param {(value: any) => boolean} options.test - Returns true if the value is of this type.
+ * @param {string[]} [options.conditions=[]] - The built-in conditions that apply to this type, e.g. ['min', 'max']. default, enums, and where always apply.
+ * @param {Object} [options.jsonSchema] - Additional JSON Schema keywords for this type, e.g. {pattern: '^[A-Z]{3}$'}.
+ * @returns {Object} The type to use in a schema.
+ */
+export const registerType = (name, { test, conditions = [], jsonSchema } = {}) => {
+  if (typeof name !== 'string' || !name) throw new Error('A type must have a name');
+  if (typeof test !== 'function') throw new Error(`Type '${name}' must have a test function`);
+  if (registered[name]) throw new Error(`Type '${name}' is already registered`);
+
+  const unknown = conditions.find(c => !CONDITIONS_MAP[c] || c === 'only');
+  if (unknown) throw new Error(`Unknown condition '${unknown}' for type '${name}'. Available conditions are: ${ALLOWED.filter(c => !['default', 'enums', 'where'].includes(c)).join(', ')}`);
+
+  const type = Match.Where(x => {
+    if (!test(x)) throw new Match.Error(`Expected ${name}, got ${x === null ? 'null' : typeof x}`); // worded like Match's errors so that formatErrors treats it as a type error
+    return true;
+  });
+  Object.defineProperty(type, 'name', { value: name }); // used to look up its bsonType
+  withMeta(type, { kind: 'Type', name, jsonSchema });
+
+  TYPES.push(type); // TYPES is shared by default, enums, and where
+  for (const c of conditions) {
+    if (!CONDITIONS_MAP[c].includes(type)) CONDITIONS_MAP[c] = [...CONDITIONS_MAP[c], type]; // a new array since some conditions share one, e.g. min and max
+  }
+
+  addHas(type);
+  registered[name] = type;
+  return type;
+};
+
+/**
+ * Adds a custom condition that can be used like the built-in conditions, e.g. String[has].startsWith('/') or {type: String, startsWith: '/'}.
+ *
+ * @param {string} name - The name of the condition.
+ * @param {Object} options - Options object.
+ * @param {any[]} options.types - The types that the condition applies to, e.g. [String].
+ * @param {(value: any, conditionValue: any) => boolean} options.validate - Returns true if the value satisfies the condition.
+ * @param {string | ((conditionValue: any) => string)} [options.message] - The error message, e.g. v => `must start with ${v}`. It's prefixed with the field name.
+ * @param {(conditionValue: any, bsonType: string) => Object} [options.toJSONSchema] - Returns the JSON Schema keywords for the condition, e.g. v => ({pattern: `^${v}`}). Without it, the condition is only enforced by check.
+ */
+export const addCondition = (name, { types, validate, message, toJSONSchema } = {}) => {
+  if (typeof name !== 'string' || !name) throw new Error('A condition must have a name');
+  if (CONDITIONS_MAP[name]) throw new Error(`Condition '${name}' already exists`);
+  if (!Array.isArray(types) || !types.length) throw new Error(`Condition '${name}' must have the types it applies to`);
+  if (typeof validate !== 'function') throw new Error(`Condition '${name}' must have a validate function`);
+
+  const unknown = types.find(t => !TYPES.includes(t));
+  if (unknown) throw new Error(`Condition '${name}' can't be used with ${unknown.name || unknown}. Use registerType to add a type.`);
+
+  CONDITIONS_MAP[name] = [...types];
+  ALLOWED.push(name);
+  customConditions[name] = { types, validate, message, toJSONSchema };
+};
+
 export const getValue = v => { // unwraps optional values or just returns the value
   const { constructor: { name } } = v || {};
   const optional = name === 'Maybe';
   const anyOf = name === 'OneOf';
+  const { kind } = (v && v[_meta]) || {};
 
   return {
     optional,
     anyOf,
+    allOf: kind === 'AllOf',
+    not: kind === 'Not',
+    nullable: kind === 'Nullable',
+    literal: kind === 'Literal',
+    tuple: kind === 'Tuple',
+    record: kind === 'Record',
+    lazy: kind === 'Lazy',
+    union: kind === 'Union',
     value: (optional || anyOf) ? Object.values(v)[0] : v instanceof Schema ? v.schema : v
   }
 };
 
-const validate = ({x, type, min, max, regex, enums, unique, where, extra}) => {
+const compare = (a, b) => (Decimal && (a instanceof Decimal || b instanceof Decimal)) ? Decimal(a).cmp(b) : a < b ? -1 : a > b ? 1 : 0; // Decimals need to be compared with .cmp since their valueOf is a string
+
+const decimalPlaces = n => { // uses exponential notation since String(n) switches to it for small and large numbers, e.g. 1e-7
+  const [ mantissa, exponent ] = n.toExponential().split('e');
+  return Math.max(0, (mantissa.split('.')[1] || '').length - Number(exponent));
+};
+const isNumeric = x => typeof x === 'number' || (Decimal && x instanceof Decimal); // gt, lt, and multipleOf are skipped when the value is the wrong type, e.g. '12' from a form, since the type error is reported
+const isMultipleOf = (x, m) => { // avoids floating point errors, e.g. 0.07 % 0.01 !== 0
+  if (Decimal && (x instanceof Decimal || m instanceof Decimal)) return Decimal(x).mod(m).isZero();
+
+  const factor = 10 ** Math.max(decimalPlaces(x), decimalPlaces(m));
+  return Math.round(x * factor) % Math.round(m * factor) === 0;
+};
+
+const toPattern = (p, optionalize = false) => { // shapes a standalone pattern, e.g. the pattern passed to contains, so that it can be used with Match.test
+  const { p: pattern } = shape({ p }, { optionalize });
+  return optionalize ? getValue(pattern).value : pattern; // the pattern itself doesn't need to be Optional, only what's inside it
+};
+const withMeta = (matcher, meta) => Object.defineProperty(matcher, _meta, { value: meta });
+const isFields = v => isObject(v) && !isConditions(v);
+
+const rethrow = (error, path = error.path) => { // rethrows an error from a nested check with its message and path relative to the matcher so that Match can prepend the parent key
+  if (!(error instanceof Match.Error)) throw error;
+
+  const e = new Match.Error(error.message.replace(/^Match error: /, '').replace(/ in field \S+$/, ''));
+  e.path = path;
+  throw e;
+};
+
+const createUnion = (key, branches, optionalize = false) => {
+  const tags = Object.keys(branches);
+  const patterns = Object.fromEntries(tags.map(t => {
+    const { $rules, $defaults, ...pattern } = shape({ ...branches[t], [key]: t }, { optionalize }); // the tag is pinned to its branch
+    return [t, pattern];
+  }));
+
+  const union = Match.Where(x => {
+    c(x, Object);
+
+    if (!(key in x) && optionalize) { // when validating a modifier, the tag may not be part of it so we accept any branch that matches
+      if (tags.some(t => Match.test(x, patterns[t]))) return true;
+      throw new Match.Error(t('union', { key, tags: tags.join(', ') }));
+    }
+
+    if (!(key in x)) {
+      throw new Match.Error(`Missing key '${key}'`);
+    }
+
+    if (!tags.includes(x[key])) {
+      throw Object.assign(new Match.Error(t('unionTag', { tags: tags.join(', ') })), { path: key });
+    }
+
+    try {
+      c(x, patterns[x[key]]);
+    } catch (error) {
+      rethrow(error);
+    }
+
+    return true;
+  });
+
+  return withMeta(union, { kind: 'Union', key, branches });
+};
+
+const createAllOf = (args, optionalize = false) => {
+  const values = args.map(a => getValue(a).value);
+  const objects = values.every(isFields); // each object pattern on its own would reject the other's keys so we check each against only its own keys
+  const patterns = args.map(a => toPattern(a, optionalize));
+
+  const allOf = Match.Where(x => {
+    if (objects) {
+      c(x, Object);
+      const unknown = Object.keys(x).find(k => !values.some(v => k in v));
+      if (unknown) throw Object.assign(new Match.Error('Unknown key'), { path: unknown });
+    }
+
+    patterns.forEach((p, i) => {
+      try {
+        c(objects ? Object.fromEntries(Object.entries(x).filter(([k]) => k in values[i])) : x, p);
+      } catch (error) {
+        rethrow(error);
+      }
+    });
+
+    return true;
+  });
+
+  return withMeta(allOf, { kind: 'AllOf', args, objects });
+};
+
+const createNot = pattern => {
+  const p = toPattern(pattern);
+  const not = Match.Where(x => {
+    if (Match.test(x, p)) throw new Match.Error(t('not'));
+    return true;
+  });
+
+  return withMeta(not, { kind: 'Not', pattern });
+};
+
+const isPrimitive = v => ['string', 'number', 'boolean'].includes(typeof v);
+
+const createLiteral = value => {
+  const literal = Match.Where(x => {
+    if (!isEqual(x, value)) throw new Match.Error(t('literal', { value: JSON.stringify(value) }));
+    return true;
+  });
+
+  return withMeta(literal, { kind: 'Literal', value });
+};
+
+const createTuple = (args, optionalize = false) => {
+  const patterns = args.map(a => toPattern(a));
+  const required = optionalize ? 0 : args.reduce((acc, a, i) => getValue(a).optional ? acc : i + 1, 0); // trailing Optional positions can be left off
+  const max = args.length;
+
+  const tuple = Match.Where(x => {
+    c(x, Array);
+
+    if (x.length < required || x.length > max) {
+      const unit = t(max === 1 ? 'item' : 'items');
+      throw new Match.Error(required === max ? t('tuple', { count: max, unit }) : required ? t('tupleRange', { min: required, max, unit }) : t('tupleMax', { max, unit }));
+    }
+
+    x.forEach((item, i) => {
+      try {
+        c(item, patterns[i]);
+      } catch (error) {
+        rethrow(error, error.path ? `[${i}]${error.path[0] === '[' ? '' : '.'}${error.path}` : `[${i}]`);
+      }
+    });
+
+    return true;
+  });
+
+  return withMeta(tuple, { kind: 'Tuple', args, required });
+};
+
+const createRecord = (keyPattern, valuePattern, { min, max } = {}, optionalize = false) => {
+  const keyRegex = keyPattern instanceof RegExp ? keyPattern : keyPattern === ID ? ID_PATTERN : keyPattern === String ? /.*/ : undefined;
+  if (!keyRegex) throw new Error('Record keys must be a RegExp, ID, or String');
+
+  const pattern = toPattern(valuePattern, optionalize);
+  const [ mn, mnErr ] = Array.isArray(min) ? min : [min];
+  const [ mx, mxErr ] = Array.isArray(max) ? max : [max];
+
+  const record = Match.Where(x => {
+    c(x, Object);
+
+    const entries = Object.entries(x);
+    const minFail = !optionalize && mn !== undefined && entries.length < mn; // a modifier may only set some of the keys
+    if (minFail || (mx !== undefined && entries.length > mx)) {
+      const err = minFail ? mnErr : mxErr;
+      throw new Match.Error(err ? `w: ${err}` : t(mn !== undefined && mx !== undefined ? 'recordMinMax' : mn !== undefined ? 'recordMin' : 'recordMax', { min: mn, max: mx }));
+    }
+
+    for (const [k, v] of entries) {
+      if (!keyRegex.test(k)) throw Object.assign(new Match.Error(t('recordKey')), { path: k });
+
+      try {
+        c(v, pattern);
+      } catch (error) {
+        rethrow(error, error.path ? `${k}${error.path[0] === '[' ? '' : '.'}${error.path}` : k);
+      }
+    }
+
+    return true;
+  });
+
+  return withMeta(record, { kind: 'Record', keyPattern, keyRegex, valuePattern, min: mn, max: mx, options: { min, max } });
+};
+
+const levels = new WeakMap(); // how deeply nested the current check is by getter. it's shared since shaping with optionalize creates a new Lazy for each level
+
+const createLazy = (getter, { depth = 5 } = {}, optionalize = false) => {
+  let pattern; // shaped on first use since the schema that the getter returns may not be defined yet
+  if (!levels.has(getter)) levels.set(getter, { level: 0 });
+  const counter = levels.get(getter);
+
+  const lazy = Match.Where(x => {
+    if (counter.level >= depth) throw new Match.Error(t('lazy', { depth }));
+
+    pattern = pattern || toPattern(getter(), optionalize);
+    counter.level++;
+
+    try {
+      c(x, pattern);
+    } catch (error) {
+      rethrow(error);
+    } finally {
+      counter.level--;
+    }
+
+    return true;
+  });
+
+  return withMeta(lazy, { kind: 'Lazy', getter, depth });
+};
+
+const createNullable = (pattern, optionalize = false) => {
+  const p = toPattern(pattern, optionalize);
+  const nullable = Match.Where(x => {
+    if (x === null) return true;
+
+    try {
+      c(x, p);
+    } catch (error) {
+      rethrow(error);
+    }
+
+    return true;
+  });
+
+  return withMeta(nullable, { kind: 'Nullable', pattern });
+};
+
+const resolveDate = (bound, now = new Date()) => { // a Date bound can be a Date, 'now', or an offset from now, e.g. {days: 30} or {months: -6}
+  if (bound === 'now') return now;
+  if (!isObject(bound)) return new Date(bound);
+
+  const { years = 0, months = 0, ...rest } = bound;
+  const date = new Date(now);
+  date.setUTCMonth(date.getUTCMonth() + months + years * 12);
+  return new Date(date.getTime() + Object.entries(rest).reduce((acc, [unit, n]) => acc + n * OFFSETS[unit], 0));
+};
+
+const isThenable = v => !!v && typeof v.then === 'function';
+
+let pending; // the promises returned by where functions that weren't declared async, e.g. transpiled ones, while collectPending runs
+
+const catchPending = promise => { // it's awaited by checkAsync, otherwise it's skipped like an async where. this prevents an unhandled rejection when it's skipped
+  promise.then(undefined, () => {});
+  return promise;
+};
+
+/**
+ * Runs fn, e.g. check, and collects the promises returned by where functions that weren't detected as async when the schema was shaped.
+ *
+ * @param {Function} fn
+ * @returns {Object[]} The promises for enforceAsync. Each has its path or the schema path and value that enforceAsync finds the path from.
+ */
+export const collectPending = fn => {
+  const previous = pending;
+  pending = [];
+
+  try {
+    fn();
+    return pending;
+  } finally {
+    pending = previous;
+  }
+};
+
+const splitContains = contains => Array.isArray(contains) && contains.length === 2 && typeof contains[1] === 'string' ? contains : [contains]; // patterns for arrays have a single element, e.g. [String], so a second string element is a custom error message
+
+const validate = ({x, type, min, max, gt, lt, multipleOf, regex, format, enums, unique, contains, containsPattern, minContains, maxContains, where, extra, schemaPath, ...custom}) => {
   const errors = [];
 
   const typeValue = isObject(type) && Object.values(type)[0];
@@ -132,7 +562,7 @@ const validate = ({x, type, min, max, regex, enums, unique, where, extra}) => {
     for (const [k, v] of Object.entries(x)) {
       const { type: embeddedType, ...conditions } = type[k];
       if (embeddedType) { // handles {type: {thing: {type: String, ...}, another: Number}, min: 1, max: 2}
-        validate({x: v, type: embeddedType, ...conditions})
+        validate({x: v, type: embeddedType, ...conditions, schemaPath: schemaPath && [...schemaPath, k]})
       } else {
         const matches = Match.test(v, type[k]);
         if (!matches) {
@@ -148,7 +578,7 @@ const validate = ({x, type, min, max, regex, enums, unique, where, extra}) => {
       errors.push(e);
     }
     x.forEach(value => {
-      validate({x: value, type: embeddedType, ...conditions});
+      validate({x: value, type: embeddedType, ...conditions, schemaPath: schemaPath && [...schemaPath, '0']});
     });
   } else if (isArray(type) && isArray(type[0])) { // handles array of arrays shape [ [] ]
     x.forEach((value, index) => {
@@ -182,54 +612,115 @@ const validate = ({x, type, min, max, regex, enums, unique, where, extra}) => {
     }
   }
 
+  const typeMatched = !errors.length; // custom conditions only run when the value is the right type so that they don't have to check it, e.g. value.startsWith
   const isAnArray = type => isArray(type) || type === Array;
   const isAnObject = type => isObject(type) || type === Object;
 
+  let promise;
   if (where) {
     try {
-      where(x, {min, max, regex, enums, unique});
+      const result = where(x, {min, max, gt, lt, multipleOf, regex, format, enums, unique, contains, minContains, maxContains});
+      if (isThenable(result)) promise = catchPending(result);
     } catch(error) {
       errors.push(`w: ${error}`)
     }
   }
 
-  if (min || max) {
-    const count = isAnObject(type) ? Object.keys(x).length : (type === String || isAnArray(type)) ? x.length : x;
-    const term = isAnObject(type) ? `properties` : type === String ? `characters` : isAnArray(type) ? `items` : '';
+  if ((min || max) && type === Date) {
+    const [mn, mnErr] = Array.isArray(min) ? min : [min];
+    const [mx, mxErr] = Array.isArray(max) ? max : [max];
+    const now = new Date();
+    const minFail = mn && x < resolveDate(mn, now);
+    const maxFail = mx && x > resolveDate(mx, now);
+
+    if (minFail || maxFail) {
+      const describe = (bound, term) => bound === 'now' ? t(term === 'after' ? 'future' : 'past') : t(term, { date: resolveDate(bound, now).toISOString() });
+      errors.push(minFail && mnErr && `w: ${mnErr}` || maxFail && mxErr && `w: ${mxErr}` || t(mn && mx ? 'dateMinMax' : mn ? 'dateMin' : 'dateMax', { min: mn && describe(mn, 'after'), max: mx && describe(mx, 'before') }));
+    }
+  } else if ((min || max) && (type !== Long || Match.test(x, Long))) { // a Long is converted to a BigInt to compare it so it's skipped when it's the wrong type, e.g. 1.5
+    const measured = type === String || isAnArray(type) || (type[_meta] && type[_meta].kind === 'Type' && (typeof x === 'string' || Array.isArray(x))); // a custom type is measured by its value, e.g. a string's length
+    const count = isAnObject(type) ? Object.keys(x).length : measured ? x.length : type === Long ? BigInt(x.toString()) : type === Binary ? (typeof x.length === 'function' ? x.length() : x.length) : x; // a Mongo Long is converted so that it can be compared. a Mongo Binary has a length function rather than a property
+    const unit = isAnObject(type) ? t('properties') : (type === String || (measured && typeof x === 'string')) ? t('characters') : measured ? t('items') : type === Binary ? t('bytes') : '';
 
     const [mn, mnErr] = Array.isArray(min) ? min : [min];
     const [mx, mxErr] = Array.isArray(max) ? max : [max];
     const minFail = mn && count < mn;
 
     if (minFail || (mx && count > mx)) {
-      errors.push(minFail && mnErr && `w: ${mnErr}` || mxErr && `w: ${mxErr}` || (count < 1 ? `cannot be empty` : `must be ${min ? 'at least ' + min + ' ' + term : ''}${min && mx ? ' and ' : ''}${max ? 'at most ' + mx + ' ' + term : ''}`));
+      errors.push(minFail && mnErr && `w: ${mnErr}` || mxErr && `w: ${mxErr}` || (count < 1 ? t('empty') : t(min && max ? 'minMax' : min ? 'min' : 'max', { min: mn, max: mx, unit })));
+    }
+  }
+
+  if ((gt !== undefined || lt !== undefined) && isNumeric(x)) { // exclusive bounds are checked against undefined because 0 is a common bound, e.g. gt(0)
+    const [g, gErr] = Array.isArray(gt) ? gt : [gt];
+    const [l, lErr] = Array.isArray(lt) ? lt : [lt];
+    const gtFail = g !== undefined && compare(x, g) <= 0;
+    const ltFail = l !== undefined && compare(x, l) >= 0;
+
+    if (gtFail || ltFail) {
+      errors.push(gtFail && gErr && `w: ${gErr}` || ltFail && lErr && `w: ${lErr}` || t(g !== undefined && l !== undefined ? 'gtLt' : g !== undefined ? 'gt' : 'lt', { gt: g, lt: l }));
     }
   }
 
+  if (multipleOf && isNumeric(x)) {
+    const [ m, mErr ] = Array.isArray(multipleOf) ? multipleOf : [multipleOf];
+    if (!isMultipleOf(x, m)) errors.push(mErr && `w: ${mErr}` || t('multipleOf', { multipleOf: m }));
+  }
+
   if (enums) {
     const alwErr = enums.some(Array.isArray) && typeof ([last] = enums.slice(-1))[0] === 'string' ? last : undefined;
     const alw = alwErr ? enums[0] : enums;
 
     const pass = (isAnObject(type) || isAnArray(type)) ? alw.some(a => isEqual(a, x)) : alw.includes(x) || alw.map(a => a.toString()).includes(x.toString()); // .toString() handles Decimal case
     if (!pass) {
-      errors.push(alwErr && `w: ${alwErr}` || `must have an allowed value, not ${JSON.stringify(x)}`);
+      errors.push(alwErr && `w: ${alwErr}` || t('enums', { value: typeof x === 'bigint' ? x : JSON.stringify(x) })); // JSON.stringify doesn't support BigInts
     }
   }
 
   if (regex) {
     const [ r, rErr ] = Array.isArray(regex) ? regex : [regex];
-    if (!r.test(x)) errors.push(rErr && `w: ${rErr}` || `must match regex ${r}`);
+    if (!r.test(x)) errors.push(rErr && `w: ${rErr}` || t('regex', { regex: r }));
+  }
+
+  if (format) {
+    const [ f, fErr ] = Array.isArray(format) ? format : [format];
+    const { regex: r, description } = formats[f];
+    if (!r.test(x)) errors.push(fErr && `w: ${fErr}` || t('format', { format: f, description }));
   }
 
-  if (unique) {
+  if (unique && isAnArray(type)) { // uniqueness across the collection is enforced by a unique index in the db
     const [ u, uErr ] = Array.isArray(unique) ? unique : [unique];
-    if (new Set(x).size !== x.length) errors.push(uErr && `w: ${uErr}` || 'must have unique items')
+    if (new Set(x).size !== x.length) errors.push(uErr && `w: ${uErr}` || t('uniqueItems'))
+  }
+
+  if (contains !== undefined && Array.isArray(x)) { // minContains and maxContains follow JSON Schema and only apply alongside contains
+    const [ p, pErr ] = splitContains(contains);
+    const [ mn = 1, mnErr ] = Array.isArray(minContains) ? minContains : [minContains];
+    const [ mx, mxErr ] = Array.isArray(maxContains) ? maxContains : [maxContains];
+
+    const pattern = containsPattern ?? toPattern(p); // containsPattern is missing for the fields of an embedded {type: {...}}
+    const count = x.filter(i => Match.test(i, pattern)).length;
+    const minFail = count < mn;
+
+    if (minFail || (mx !== undefined && count > mx)) {
+      errors.push(minFail && (mnErr || pErr) && `w: ${mnErr || pErr}` || !minFail && mxErr && `w: ${mxErr}` || (minFail ? (mn === 1 ? t('contains') : t('minContains', { min: mn })) : t('maxContains', { max: mx, unit: t(mx === 1 ? 'item' : 'items') })));
+    }
+  }
+
+  for (const [ key, condition ] of Object.entries(custom)) {
+    if (!customConditions[key] || !typeMatched) continue;
+
+    const { validate: test, message } = customConditions[key];
+    const [ v, cErr ] = Array.isArray(condition) && condition.length === 2 && typeof condition[1] === 'string' ? condition : [condition];
+    if (!test(x, v)) errors.push(cErr && `w: ${cErr}` || (typeof message === 'function' ? message(v) : message) || t('condition', { condition: key }));
   }
 
   if (errors.length) {
-    throw new Match.Error(errors.join(' and '))
+    throw new Match.Error(errors.join(t('and')))
   }
 
+  if (promise) pending?.push({ schemaPath, x, promise }); // Match doesn't pass the path to a Where so enforceAsync finds it from schemaPath and x
+
   return true;
 };
 
@@ -251,9 +742,15 @@ export const enforce = (data, rules) => {
   const matchedRules = rules.filter(({ path }) => keys.includes(path[0]));
 
   for (const { path, rule } of matchedRules) {
+    const run = d => {
+      const result = rule(d);
+      if (isThenable(result)) pending?.push({ path: path.join('.'), promise: catchPending(result) });
+      return result;
+    };
+
     try {
       const ruleData = path.length === 1 ? data : extract(data, path.slice(0, -1));
-      if (!((Array.isArray(ruleData) ? ruleData.every(d => rule(d)) : rule(ruleData)) || true)) { // where functions don't have to return true so we set it to true if it doesn't throw from within the where function
+      if (!((Array.isArray(ruleData) ? ruleData.every(run) : run(ruleData)) || true)) { // where functions don't have to return true so we set it to true if it doesn't throw from within the where function
         throw 'failed where condition';
       }
     } catch(error) {
@@ -268,6 +765,67 @@ export const enforce = (data, rules) => {
   return;
 };
 
+const isRulePath = (errorPath, rulePath) => { // e.g. items[0].name is at the rule path items.0.name
+  const normalized = errorPath.replace(/\[\d+]/g, '.0').replace(/^\./, '');
+  return normalized === rulePath || normalized.startsWith(`${rulePath}.`);
+};
+
+const toPaths = (data, schemaPath, prefix = '') => { // the paths and values at a schema path, e.g. tags.0 is at tags[0], tags[1], ...
+  if (!schemaPath.length) return [[prefix, data]];
+
+  const [ key, ...rest ] = schemaPath;
+  if (key === '0' && Array.isArray(data)) return data.flatMap((d, i) => toPaths(d, rest, `${prefix}[${i}]`));
+  return data && typeof data === 'object' ? toPaths(data[key], rest, prefix ? `${prefix}.${key}` : key) : [];
+};
+
+const findPaths = (data, promises) => { // the promises from validate are matched to the first value at their schema path that's the value the where was passed
+  const used = new Set();
+
+  return promises.map(({ path, schemaPath, x, promise }) => {
+    if (path === undefined) {
+      [ path ] = (schemaPath ? toPaths(data, schemaPath) : []).find(([p, v]) => v === x && !used.has(p)) || [''];
+      used.add(path);
+    }
+
+    return { path, promise };
+  });
+};
+
+const isWithin = (path, errorPath) => path === errorPath || path.startsWith(`${errorPath}.`) || path.startsWith(`${errorPath}[`);
+
+/**
+ * Awaits async where functions in parallel. A rule is skipped if its value has already failed validation.
+ *
+ * @param {Object} data - The data, with any modifier already transformed into a document.
+ * @param {Object[]} [rules] - The $asyncRules from a shaped schema.
+ * @param {Object[]} [errors] - Errors that have already been found.
+ * @param {Object[]} [promises] - The promises returned by where functions that weren't declared async, from collectPending.
+ * @returns {Promise<void>} Rejects with the errors if any of the rules fail.
+ */
+export const enforceAsync = async (data, rules = [], errors = [], promises = []) => {
+  if (!rules.length && !promises.length) return;
+
+  const keys = Object.keys(data);
+  const matchedRules = rules.filter(({ path }) => keys.includes(path[0]) && !errors.some(e => e.path && isRulePath(e.path, path.join('.'))));
+
+  const tasks = matchedRules.flatMap(({ path, rule, deps }) => {
+    const ruleData = deps.length ? (path.length === 1 ? data : extract(data, path.slice(0, -1))) : extract(data, path); // a dependent where gets the object that contains the value
+    if (ruleData === undefined) return [];
+
+    const key = path.join('.');
+    const each = deps.length ? Array.isArray(ruleData) : path[path.length - 1] === '0'; // an async where on array items gets each item
+    return each ? ruleData.map((d, i) => ({ path: `${key.replace(/\.0$/, '')}[${i}]`, run: () => rule(d) })) : [{ path: key, run: () => rule(ruleData) }];
+  }).concat(findPaths(data, promises).filter(({ path }) => !errors.some(e => e.path && isWithin(path, e.path))).map(({ path, promise }) => ({ path, run: () => promise })));
+
+  const results = await Promise.allSettled(tasks.map(({ run }) => run()));
+  const failed = results.flatMap((r, i) => r.status === 'rejected' ? [{ path: tasks[i].path, message: `w: ${r.reason}` }] : []);
+  if (failed.length) {
+    throw failed;
+  }
+
+  return;
+};
+
 /**
  * Shapes an object based on a POJO.
  *
@@ -279,35 +837,75 @@ export const enforce = (data, rules) => {
 export const shape = (obj, { optionalize = false } = {}) => {
   const rules = []; // rules will stores any dependency rules that are found on embedded objects with 'where' functions that destructure a key that is not the current key
   const defaults = [];
+  const transforms = []; // transforms, e.g. trim or converting a Long that was read as a Number, are applied to the data before it's checked
+  const asyncRules = []; // async where functions. unlike rules, these are kept when optionalizing so that modifiers can be checked against them too
+  const { $indexes = [], ...fields } = obj; // compound indexes can be declared at the top level of the schema
+  const indexes = [...$indexes.map(({ key, ...options }) => ({ key, options }))];
+  const texts = []; // text fields are combined since a collection can only have one text index
+  const messages = {}; // the label and the required / type error messages of each field by path for formatErrors. unlike rules, these are kept when optionalizing so that modifiers use them too
 
   const sculpt = (obj, currentPath = [], skip = false, isOptional = false) => {
     const maybeOptionalize = value => optionalize && !isOptional ? Optional(value) : value; // using isOptional to prevent double wrapping Optional when it's already been made Optional
 
     return Object.entries(obj).reduce((acc, [k, v]) => {
       const path = skip ? currentPath : [...currentPath, k]; // we don't want to add Optional or AnyOf keys – 'pattern', '0' – to the path which we use for $rules so we use skip
-      const { value, optional, anyOf } = getValue(v);
+      const { value, optional, anyOf, allOf, nullable, tuple, record, lazy, union } = getValue(v);
 
       if (optional) {
         acc[k] = Optional(...Object.values(sculpt(v, path, true, true)));
+      } else if (union) {
+        const { key, branches } = value[_meta];
+        acc[k] = maybeOptionalize(optionalize ? createUnion(key, branches, true) : value);
+      } else if (allOf) {
+        acc[k] = maybeOptionalize(optionalize ? createAllOf(value[_meta].args, true) : value);
+      } else if (nullable) {
+        acc[k] = maybeOptionalize(optionalize ? createNullable(value[_meta].pattern, true) : value);
+      } else if (tuple) {
+        acc[k] = maybeOptionalize(optionalize ? createTuple(value[_meta].args, true) : value);
+      } else if (record) {
+        const { keyPattern, valuePattern, options } = value[_meta];
+        acc[k] = maybeOptionalize(optionalize ? createRecord(keyPattern, valuePattern, options, true) : value);
+      } else if (lazy) {
+        const { getter, depth } = value[_meta];
+        acc[k] = maybeOptionalize(optionalize ? createLazy(getter, { depth }, true) : value);
       } else if (anyOf) {
         acc[k] = maybeOptionalize(AnyOf(...Object.values(sculpt(value, path, true))));
       } else if (isObject(value) && value.hasOwnProperty('type')) {
-        const { type, default: dValue, where, ...conditions } = value;
+        const { type, default: dValue, where, trim, lowercase, uppercase, normalize, index, ttl, text, label, required, typeError, ...conditions } = value;
         const deps = typeof where === 'function' && where.length === 1 ? _getParams(where).filter(n => n !== k) : [];
+        const isAsync = typeof where === 'function' && where.constructor.name === 'AsyncFunction'; // async wheres can't run inside of Match so they're awaited separately by checkAsync. a where that returns a promise without being declared async is picked up by collectPending
 
-        if (Object.keys(conditions).some(i => !ALLOWED.includes(i))) {
+        if (!isConditions(value)) {
           acc[k] = maybeOptionalize(sculpt(value, path));
         } else {
-          if (!deps.length && where) conditions.where = where;
+          if ('format' in conditions) assertFormat(conditions.format);
+          assertOffset(conditions.min);
+          assertOffset(conditions.max);
+          const name = path.filter(p => p !== '0').join('.'); // the path without array positions, e.g. an index on a field within an array is a multikey index
+          const long = getValue(type).value === Long;
+          if (trim || lowercase || uppercase || normalize || long) transforms.push({ path, trim, lowercase, uppercase, normalize, ...(long && { long }) });
+          if (label || required || typeError) messages[name] = { label, required, typeError };
+          if (!optionalize) {
+            if (index) indexes.push({ key: { [name]: 1 }, options: isObject(index) ? index : {} });
+            if (ttl !== undefined) indexes.push({ key: { [name]: 1 }, options: { expireAfterSeconds: ttl } });
+            if (text) texts.push(name);
+          }
+          if (!deps.length && where && !isAsync) conditions.where = where;
           if (isEmpty(conditions)) {
             acc[k] = maybeOptionalize(type);
           } else {
-            const { value: tValue, optional: tOptional } = getValue(type);
-            acc[k] = tOptional ? Optional(Where({ type: tValue, ...conditions })) : maybeOptionalize(Where({ type, ...conditions }));
+            const { value: tValue, optional: tOptional, nullable: tNullable } = getValue(type);
+            acc[k] = tOptional ? Optional(Where({ type: tValue, ...conditions }, path)) : tNullable ? maybeOptionalize(createNullable({ type: tValue[_meta].pattern, ...conditions }, optionalize)) : maybeOptionalize(Where({ type, ...conditions }, path));
           }
         }
 
-        if (!optionalize && deps.length) {
+        if (isAsync) {
+          asyncRules.push({
+            path,
+            rule: where,
+            deps
+          });
+        } else if (!optionalize && deps.length) {
           rules.push({
             path,
             rule: where,
@@ -323,19 +921,26 @@ export const shape = (obj, { optionalize = false } = {}) => {
         }
 
       } else if (isArray(value)) {
-        acc[k] = maybeOptionalize(isArray(value[0]) ? [Where({ type: value })] : [...Object.values(sculpt(value, path))]);
+        acc[k] = maybeOptionalize(isArray(value[0]) ? [Where({ type: value }, [...path, '0'])] : [...Object.values(sculpt(value, path))]);
       } else if (isObject(value)) {
         acc[k] = maybeOptionalize(sculpt(value, path));
       } else {
-        acc[k] = maybeOptionalize(value);
+        if (value === Long) transforms.push({ path, long: true });
+        acc[k] = maybeOptionalize(isPrimitive(value) ? Literal(value) : value);
       }
       return acc;
     }, {});
   };
 
-  const result = sculpt(obj);
+  const result = sculpt(fields);
+  texts.length && indexes.push({ key: Object.fromEntries(texts.map(t => [t, 'text'])), options: {} });
   rules.length && (result.$rules = rules);
   defaults.length && (result.$defaults = defaults);
+  transforms.length && (result.$transforms = transforms);
+  asyncRules.length && (result.$asyncRules = asyncRules);
+  !optionalize && indexes.length && (result.$indexes = indexes);
+  !isEmpty(messages) && (result.$messages = messages);
   Object.defineProperty(result, _shaped, {value: true});
+  !optionalize && Object.defineProperty(result, _source, {value: obj}); // lets a shaped schema be composed, e.g. with extend
   return result;
 };
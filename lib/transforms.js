@@ -0,0 +1,63 @@
+import { Meteor } from 'meteor/meteor';
+import { isObject, hasOperators } from './utils/shared';
+
+const POSITIONAL = /^(\$(\[\w*])?|\d+)$/; // $, $[], $[any words], and array indexes
+const ARRAY_OPERATORS = ['$push', '$addToSet'];
+const MODIFIER_OPERATORS = ['$set', '$setOnInsert', '$inc', '$min', '$max', '$mul', ...ARRAY_OPERATORS]; // the operators that can set a string or a Long
+
+const transformValue = (x, { trim, lowercase, uppercase, normalize, long }) => {
+  if (long) return Meteor.isServer && Number.isSafeInteger(x) ? BigInt(x) : x; // the driver reads longs that fit in 53 bits as Numbers so they're converted back when a document is written, e.g. after a find. BigInts can't be sent over DDP so this is server only
+  if (typeof x !== 'string') return x;
+
+  let result = x;
+  if (trim) result = result.trim();
+  if (normalize) result = result.normalize(normalize === true ? 'NFC' : normalize);
+  if (lowercase) result = result.toLowerCase();
+  if (uppercase) result = result.toUpperCase();
+  return result;
+};
+
+const update = (target, [key, ...rest], fn) => { // replaces the value at path within target. '0' in the path matches every item of an array since that's how shape records array paths
+  if (!target || typeof target !== 'object') return;
+
+  const keys = Array.isArray(target) && key === '0' ? [...target.keys()] : key in target ? [key] : [];
+  for (const k of keys) {
+    if (rest.length) update(target[k], rest, fn);
+    else target[k] = fn(target[k]);
+  }
+};
+
+const startsWith = (path, prefix) => prefix.length <= path.length && prefix.every((p, i) => p === path[i]);
+
+/**
+ * Applies the schema's transforms, e.g. trim or converting a safe integer to a BigInt for a Long, to a document or an update modifier. The data is mutated.
+ *
+ * @param {Object} data - A document or an update modifier, e.g. {$set: {...}}
+ * @param {Object[]} [$transforms] - The transforms from a shaped schema
+ */
+export const applyTransforms = (data, $transforms) => {
+  if (!$transforms || !isObject(data)) return;
+
+  if (!hasOperators(data)) {
+    for (const { path, ...t } of $transforms) update(data, path, x => transformValue(x, t));
+    return;
+  }
+
+  for (const op of MODIFIER_OPERATORS) {
+    const fields = data[op];
+    if (!isObject(fields)) continue;
+
+    const isArrayOperator = ARRAY_OPERATORS.includes(op);
+    for (const [k, v] of Object.entries(fields)) {
+      const keyPath = [...k.split('.').map(s => POSITIONAL.test(s) ? '0' : s), ...(isArrayOperator ? ['0'] : [])]; // the value of an array operator is an item
+      const hasEach = isArrayOperator && isObject(v) && Array.isArray(v.$each);
+
+      for (const { path, ...t } of $transforms) {
+        if (!startsWith(path, keyPath)) continue;
+
+        const rest = path.slice(keyPath.length);
+        hasEach ? update(v, ['$each', '0', ...rest], x => transformValue(x, t)) : update(fields, [k, ...rest], x => transformValue(x, t));
+      }
+    }
+  }
+};
@@ -1,4 +1,5 @@
-import { _shaped } from '../shape.js';
+import { _shaped, _source, shape, getValue, isArray, isConditions, Optional } from '../shape.js';
+import { t } from '../messages';
 
 export const isObject = o => o && o.constructor === Object;
 export const isEmpty = obj => [Object, Array].includes((obj || {}).constructor) && !Object.entries((obj || {})).length;
@@ -22,16 +23,113 @@ export const pick = (obj, keys) => {
   }
 
   obj[_shaped] && Object.defineProperty(result, _shaped, { value: obj[_shaped] });
+  obj[_source] && Object.defineProperty(result, _source, { value: pick(obj[_source], keys) });
   return result;
 };
 
-export const formatErrors = errors => errors.map(({ path, message: m }) => {
+// composes a schema from the schema it was shaped from so that $rules, $defaults, and $transforms are rebuilt for the result.
+// a shaped result isn't tied to a collection anymore so it doesn't have an $id.
+const compose = (schema, fn) => {
+  const source = schema[_source] || ((schema[_shaped] || schema['$id']) ? undefined : schema);
+  if (!source) throw new Error('Unable to compose a schema that was shaped without its source. Compose the original schema instead.');
+
+  const result = fn(source);
+  return source === schema ? result : shape(result);
+};
+
+const mapFields = (schema, fn) => Object.fromEntries(Object.entries(schema).map(([k, v]) => [k, k === '$indexes' ? v : fn(v, k)])); // $indexes isn't a field so it's kept as is
+
+const isOptional = v => {
+  const { value, optional } = getValue(v);
+  return optional || (isConditions(value) && getValue(value.type).optional);
+};
+
+const toRequired = v => {
+  const { value, optional } = getValue(v);
+  if (optional) return toRequired(value);
+  return isConditions(value) && getValue(value.type).optional ? { ...value, type: getValue(value.type).value } : v;
+};
+
+const toDeepPartial = v => { // makes v and anything nested inside it optional
+  const deep = fields => Object.fromEntries(Object.entries(fields).map(([k, f]) => [k, toDeepPartial(f)]));
+  const inner = p => {
+    const { value, optional } = getValue(p);
+    if (optional) return inner(value);
+    if (isArray(value)) return [inner(value[0])];
+    if (isConditions(value)) {
+      const { value: type, optional: typeOptional } = getValue(value.type);
+      const t = isObject(type) && !isConditions(type) ? deep(type) : isArray(type) ? [inner(type[0])] : value.type;
+      return { ...value, type: typeOptional ? Optional(t) : t };
+    }
+    return isObject(value) ? deep(value) : p;
+  };
+
+  return isConditions(getValue(v).value) && getValue(getValue(v).value.type).optional ? inner(v) : Optional(inner(v));
+};
+
+/**
+ * Creates a new schema with the keys of another schema added to it. Keys in `more` replace keys with the same name.
+ *
+ * @param {Object} schema - The schema to extend. Can be raw or shaped, e.g. a collection's schema.
+ * @param {Object} more - The keys to add.
+ * @returns {Object} - A new schema. It's shaped if `schema` was shaped.
+ */
+export const extend = (schema, more) => compose(schema, s => ({ ...s, ...(more[_source] || more) }));
+
+/**
+ * Creates a new schema without the specified keys.
+ *
+ * @param {Object} schema - The schema to omit keys from. Can be raw or shaped, e.g. a collection's schema.
+ * @param {string[]} keys - The keys to omit.
+ * @returns {Object} - A new schema. It's shaped if `schema` was shaped.
+ */
+export const omit = (schema, keys) => compose(schema, s => Object.fromEntries(Object.entries(s).filter(([k]) => !keys.includes(k))));
+
+/**
+ * Creates a new schema where the top-level keys are optional.
+ *
+ * @param {Object} schema - The schema to make partial. Can be raw or shaped, e.g. a collection's schema.
+ * @param {string[]} [keys] - The keys to make optional. Defaults to all keys.
+ * @returns {Object} - A new schema. It's shaped if `schema` was shaped.
+ */
+export const partial = (schema, keys) => compose(schema, s => mapFields(s, (v, k) => (!keys || keys.includes(k)) && !isOptional(v) ? Optional(v) : v));
+
+/**
+ * Creates a new schema where the specified keys are required.
+ *
+ * @param {Object} schema - The schema to make keys required in. Can be raw or shaped, e.g. a collection's schema.
+ * @param {string[]} [keys] - The keys to make required. Defaults to all keys.
+ * @returns {Object} - A new schema. It's shaped if `schema` was shaped.
+ */
+export const required = (schema, keys) => compose(schema, s => mapFields(s, (v, k) => (!keys || keys.includes(k)) ? toRequired(v) : v));
+
+/**
+ * Creates a new schema where every key, including the keys of nested objects, is optional.
+ *
+ * @param {Object} schema - The schema to make deeply partial. Can be raw or shaped, e.g. a collection's schema.
+ * @returns {Object} - A new schema. It's shaped if `schema` was shaped.
+ */
+export const deepPartial = schema => compose(schema, s => mapFields(s, toDeepPartial));
+
+const toFieldPath = path => path.replace(/\[\d+\]/g, '').split('.').filter(p => p && !/^\d+$/.test(p)).join('.'); // strips array positions so that it matches the paths of a schema's $messages, e.g. 'tags[1].name' becomes 'tags.name'
+
+/**
+ * Formats Match errors into the details of a ValidationError.
+ *
+ * @param {Object[]} errors - The errors with a path and a message.
+ * @param {Object} [messages={}] - The label and the custom required / type error messages of each field by path from a shaped schema's $messages. A field's label is used in its messages instead of its key.
+ * @param {string} [locale] - The locale of the messages. Defaults to en.
+ * @returns {{ name: string, type: string, message: string, path?: string }[]}
+ */
+export const formatErrors = (errors, messages = {}, locale) => errors.map(({ path, message: m }) => {
   const type = m.includes('Missing key') ? 'required' : m.includes('Expected') ? 'type' : 'condition';
   const matches = type === 'type' && (m.match(/Expected (.+), got (.+) in/) || m.match(/Expected (.+) in/));
-  const errorMessage = type === 'required' ? 'is required' : matches ? `must be a ${matches[1]}${matches[2] ? `, not ${matches[2]}` : ''}` : m.replace(/\b(Match error:|w:|in field\s\S*)/g, '').trim();
+  const errorMessage = type === 'required' ? t('required', {}, locale) : matches ? t(matches[2] ? 'typeActual' : 'type', { type: matches[1], actual: matches[2] }, locale) : m.replace(/\b(Match error:|w:|in field\s\S*)/g, '').trim();
   const splitPath = path.split('.');
   const name = type === 'required' ? m.split("'")[1] : splitPath.pop();
-  const message = (name && (type !== 'condition' || !m.includes('w:'))) ? `${capitalize(name.replace(/([A-Z])/g, ' $1'))} ${errorMessage}` : capitalize(errorMessage);
+  const { label, required, typeError } = (name && messages[toFieldPath(type === 'required' ? [path, name].filter(Boolean).join('.') : path)]) || {};
+  const custom = type === 'required' ? required : type === 'type' ? typeError : undefined; // used as is
+  const message = custom || ((name && (type !== 'condition' || !m.includes('w:'))) ? t('field', { label: label || capitalize(name.replace(/([A-Z])/g, ' $1')), message: errorMessage }, locale) : capitalize(errorMessage));
 
   return { name, type, message, ...(splitPath.length > 1 && { path }) };
 });
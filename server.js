@@ -1,9 +1,10 @@
-import { config, configure } from './lib/config/server';
-import { has, shape, Any, ID, ObjectID, Optional, Integer, AnyOf, REQUIRED, _getParams } from './lib/shape';
-import { pick } from './lib/utils/shared';
-import { check } from './lib/check/server';
+import { config, configure, registerType } from './lib/config/server';
+import { has, shape, Any, ID, ObjectID, Long, Binary, Optional, Integer, AnyOf, AllOf, Not, Nullable, Literal, Tuple, Record, Lazy, Union, REQUIRED, addCondition, _getParams } from './lib/shape';
+import { pick, extend, omit, partial, required, deepPartial } from './lib/utils/shared';
+import { check, checkAsync } from './lib/check/server';
+import { clean } from './lib/clean';
 import './lib/attach/server';
 import './lib/mongo/server';
 
-const EasySchema = Object.freeze({ config, configure, REQUIRED });
-export { check, pick, has, shape, Any, ID, ObjectID, Optional, Integer, AnyOf, _getParams, EasySchema };
+const EasySchema = Object.freeze({ config, configure, registerType, addCondition, REQUIRED });
+export { check, checkAsync, clean, pick, extend, omit, partial, required, deepPartial, has, shape, Any, ID, ObjectID, Long, Binary, Optional, Integer, AnyOf, AllOf, Not, Nullable, Literal, Tuple, Record, Lazy, Union, _getParams, EasySchema };
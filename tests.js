@@ -1,14 +1,14 @@
 import { Tinytest } from 'meteor/tinytest';
-import { Mongo } from 'meteor/mongo';
+import { Mongo, MongoInternals } from 'meteor/mongo';
 import { Decimal } from 'meteor/mongo-decimal';
-import { has, Integer, Any, ID, ObjectID, Optional, AnyOf, check, EasySchema } from 'meteor/jam:easy-schema';
-import { shape, Where, _getParams } from './lib/shape.js';
+import { has, Integer, Any, ID, ObjectID, Long, Binary, Optional, AnyOf, AllOf, Not, Nullable, Literal, Tuple, Record, Lazy, Union, check, checkAsync, clean, pick, extend, omit, partial, required, deepPartial, EasySchema } from 'meteor/jam:easy-schema';
+import { shape, Where, _getParams, ID_PATTERN } from './lib/shape.js';
 import { isEqual } from './lib/utils/shared';
 import { check as c, Match } from 'meteor/check';
 import { Random } from 'meteor/random';
 import { DDP } from 'meteor/ddp-client';
 
-const { createJSONSchema } = Meteor.isServer ? require('./lib/attach/server') : {};
+const { createJSONSchema, createValidator, createUniqueIndexes } = Meteor.isServer ? require('./lib/attach/server') : {};
 
 const testSchema = {
   _id: Optional(String),
@@ -334,6 +334,37 @@ const regexCustomSchemaHas = {
   string: String[has].regex(/.com$/, 'Must be .com')
 }
 
+// format
+const formatSchema = {
+  _id: Optional(String),
+  email: {type: String, format: 'email'}
+}
+const formatData = {
+  _id: '1',
+  email: 'test@testmail.com'
+}
+const formatDataFail = {
+  _id: '1',
+  email: 'test@testmail'
+}
+
+const formatSchemaHas = {
+  _id: Optional(String),
+  email: String[has].format('email')
+}
+
+const formatCustomSchemaHas = {
+  _id: Optional(String),
+  email: String[has].format('email', 'Must be an email')
+}
+
+const formatRegexSchemaHas = {
+  _id: Optional(String),
+  email: String[has].regex(/.com$/).format('email')
+}
+
+const formatUnknownHas = String[has]; // the fluent methods aren't available after startup
+
 // min, max, minmax
 const minEmptySchema = {
   _id: Optional(String),
@@ -530,6 +561,51 @@ const minMaxNumSchemaHas = {
   minMaxNum: Number[has].min(9.5).max(15.5)
 }
 
+const gtLtNumSchema = {
+  _id: Optional(String),
+  gtLtNum: {type: Number, gt: 0, lt: [1, 'Must be less than one']}
+}
+const gtLtNumData = {
+  _id: '1',
+  gtLtNum: 0.5
+}
+const gtLtNumDataFailLow = {
+  _id: '1',
+  gtLtNum: 0
+}
+const gtLtNumDataFailHigh = {
+  _id: '1',
+  gtLtNum: 1
+}
+
+const gtLtNumSchemaHas = {
+  _id: Optional(String),
+  gtLtNum: Number[has].gt(0).lt(1, 'Must be less than one')
+}
+
+const gtLtIntSchemaHas = {
+  _id: Optional(String),
+  gtLtInt: Integer[has].min(1).lt(10)
+}
+
+const gtDecimalSchemaHas = {
+  _id: Optional(String),
+  gtDecimal: Decimal[has].gt(Decimal('9.5'))
+}
+
+const multipleOfSchema = {
+  _id: Optional(String),
+  cases: {type: Integer, multipleOf: 6},
+  step: {type: Number, multipleOf: [0.01, 'Must be in cents']}
+}
+
+const multipleOfSchemaHas = {
+  _id: Optional(String),
+  cases: Integer[has].multipleOf(6),
+  step: Number[has].multipleOf(0.01, 'Must be in cents'),
+  price: Optional(Decimal[has].multipleOf(Decimal('0.01')))
+}
+
 ///
 
 /// Integer ///
@@ -904,6 +980,22 @@ const genericArrAllowSchemaHas = {
   _id: Optional(String),
   arr: Array[has].enums([['hi'], ['bye']])
 }
+
+const containsSchema = {
+  _id: Optional(String),
+  roles: {type: [String], contains: 'owner'}
+}
+
+const containsSchemaHas = {
+  _id: Optional(String),
+  roles: Array[has].only(String).contains('owner', 'Must have an owner')
+}
+
+const minMaxContainsSchemaHas = {
+  _id: Optional(String),
+  emails: Array[has].only({address: String, primary: Boolean}).contains({address: String, primary: true}).maxContains(1, 'Only 1 primary email'),
+  scores: Array[has].only(Number).contains(Number[has].min(10)).minContains(2)
+}
 ///
 
 /// Object ///
@@ -1031,6 +1123,22 @@ const allowDateSchemaHas = {
   _id: Optional(String),
   created: Date[has].enums([new Date('1995-12-17T03:24:00'), new Date()])
 }
+
+const minMaxDateSchema = {
+  _id: Optional(String),
+  due: {type: Date, min: new Date('2020-01-01T00:00:00.000Z'), max: [new Date('2030-01-01T00:00:00.000Z'), 'Too far out']}
+}
+
+const minMaxDateSchemaHas = {
+  _id: Optional(String),
+  due: Date[has].min(new Date('2020-01-01T00:00:00.000Z')).max(new Date('2030-01-01T00:00:00.000Z'), 'Too far out'),
+  birthDate: Optional(Date[has].past('Birth date must be in the past')),
+  starts: Optional(Date[has].future().max({days: 30})),
+  lastSeen: Optional(Date[has].min({months: -6})),
+  event: Optional({ at: Date[has].min(new Date('2020-01-01T00:00:00.000Z')) })
+}
+
+const relativeDateUnknownHas = Date[has]; // the fluent methods aren't available after startup
 ///
 
 /// Boolean ///
@@ -1092,6 +1200,86 @@ const anyOfDataFail = {
 }
 ///
 
+/// Union ///
+const unionSchema = {
+  _id: Optional(String),
+  payment: Union('kind', {
+    card: { number: String, expiry: String },
+    bank: { accountNumber: String, routingNumber: String[has].min(9) }
+  })
+}
+
+const unionArraySchema = {
+  _id: Optional(String),
+  payments: [Union('kind', {
+    card: { number: String },
+    bank: { accountNumber: String }
+  })]
+}
+///
+
+/// AllOf / Not ///
+const allOfSchema = {
+  _id: Optional(String),
+  post: AllOf({ title: String, body: String }, { createdAt: Date, updatedAt: Optional(Date) }),
+  code: AllOf(String[has].min(3), String[has].regex(/^[A-Z]+$/))
+}
+
+const notSchema = {
+  _id: Optional(String),
+  username: AllOf(String, Not(AnyOf('admin', 'root')))
+}
+///
+
+/// Nullable ///
+const nullableSchema = {
+  _id: Optional(String),
+  middleName: Nullable(String),
+  nickname: Optional(Nullable(String[has].min(2))),
+  role: {type: Nullable(String), enums: ['admin', 'user']},
+  address: Nullable({ street: String, city: String })
+}
+///
+
+/// Literal ///
+const literalSchema = {
+  _id: Optional(String),
+  version: Literal('v2'),
+  archived: false,
+  level: AnyOf(1, 2, 3)
+}
+///
+
+/// Tuple ///
+const tupleSchema = {
+  _id: Optional(String),
+  entry: Tuple(String[has].min(1), Integer[has].min(1)),
+  point: Tuple(Number, Number, Optional(Number)),
+  entries: Optional([Tuple(String, { name: String })])
+}
+///
+
+/// Record ///
+const recordSchema = {
+  _id: Optional(String),
+  names: Record(/^[a-z]{2}(-[A-Z]{2})?$/, String[has].min(1)),
+  members: Record(ID, { role: String }, { min: 1 }),
+  tags: Optional(Record(String, Boolean, { max: [2, 'Too many tags'] }))
+}
+///
+
+/// Lazy ///
+const commentSchema = {
+  text: String[has].min(1),
+  replies: [Lazy(() => commentSchema, { depth: 2 })]
+};
+
+const threadSchema = {
+  _id: Optional(String),
+  comment: commentSchema
+};
+///
+
 /// Where ///
 // simple
 const whereSchema = {
@@ -1357,6 +1545,83 @@ Cars.attachSchema(carsSchema)
 
 const insertCar = async (doc, options) => Cars.insertAsync(doc, options);
 
+const Counters = new Mongo.Collection('counters');
+const countersSchema = {
+  _id: ID,
+  views: Long[has].min(0).max(2n ** 40n),
+  snowflake: Long,
+  history: Optional([Long])
+};
+Counters.attachSchema(countersSchema);
+
+const Profiles = new Mongo.Collection('profiles');
+const profilesSchema = {
+  _id: Optional(String),
+  email: String[has].trim().lowercase().format('email'),
+  username: {type: String, trim: true, normalize: 'NFC', min: 3},
+  code: Optional(String[has].uppercase()),
+  aliases: Optional([String[has].trim().lowercase()]),
+  profile: Optional({ name: String[has].trim() })
+};
+Profiles.attachSchema(profilesSchema);
+
+const Currency = EasySchema.registerType('Currency', { test: x => typeof x === 'string' && /^[A-Z]{3}$/.test(x), conditions: ['min', 'max'], bsonType: 'string', jsonSchema: { pattern: '^[A-Z]{3}$' } });
+const Cents = EasySchema.registerType('Cents', { test: x => Number.isSafeInteger(x), conditions: ['min', 'max', 'gt'], bsonType: 'long' });
+const Rating = EasySchema.registerType('Rating', { test: x => [1, 2, 3, 4, 5].includes(x), conditions: ['min'] });
+const customTypesSchema = {
+  currency: Currency,
+  allowed: Currency[has].enums(['USD', 'EUR']),
+  price: Cents[has].gt(0).max(100000),
+  discount: Optional({type: Cents, min: 0})
+};
+
+EasySchema.addCondition('startsWith', { types: [String], validate: (x, prefix) => x.startsWith(prefix), message: prefix => `must start with ${prefix}`, toJSONSchema: prefix => ({ pattern: `^${prefix}` }) });
+EasySchema.addCondition('slug', { types: [String], validate: x => /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(x), message: 'must be a slug', toJSONSchema: () => ({ pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$' }) });
+EasySchema.addCondition('notReserved', { types: [String, Currency], validate: (x, reserved) => !reserved.includes(x) });
+const customConditionsSchema = {
+  path: String[has].startsWith('/'),
+  slug: String[has].slug().max(20),
+  username: {type: String, notReserved: [['admin', 'root'], 'That username is taken']},
+  handle: Optional(String[has].startsWith('@').slug()),
+  currency: Currency[has].notReserved(['XXX'])
+};
+
+const Pages = new Mongo.Collection('pages');
+const isSlugTaken = async slug => !!(await Pages.findOneAsync({ slug }));
+const pagesSchema = {
+  _id: Optional(String),
+  slug: {type: String, min: 2, where: async slug => { if (await isSlugTaken(slug)) throw 'Slug is taken' }},
+  tags: Optional([{type: String, where: async tag => { if (tag === 'banned') throw 'Tag is not allowed' }}])
+};
+Pages.attachSchema(pagesSchema);
+
+const Members = new Mongo.Collection('members');
+const membersSchema = {
+  _id: Optional(String),
+  email: String[has].unique({ caseInsensitive: true }, 'Email is already taken'),
+  handle: Optional(String[has].unique()),
+  tags: Array[has].only(String).unique()
+};
+Members.attachSchema(membersSchema);
+
+const Posts = new Mongo.Collection('posts');
+const postsSchema = {
+  _id: Optional(String),
+  title: String[has].text(),
+  body: String[has].text(),
+  authorId: String[has].index(),
+  slug: Optional(String[has].index({ sparse: true })),
+  expiresAt: Date[has].ttl(3600),
+  $indexes: [{ key: { authorId: 1, expiresAt: -1 }, name: 'author_expires' }]
+};
+Posts.attachSchema(postsSchema);
+
+const binarySchema = {
+  _id: Optional(String),
+  thumbnail: Binary[has].max(4),
+  hash: Optional({type: Binary, min: 2, max: [2, 'Hash must be 2 bytes']})
+};
+
 Meteor.methods({ insertCar });
 
 Tinytest.addAsync('defaults - insert - basic', async (test) => {
@@ -2402,6 +2667,78 @@ if (Meteor.isServer) {
     }
   });
 
+  Tinytest.add('condition - format', function(test) {
+    try {
+      check(formatDataFail, formatSchema)
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Email must be a valid email address')
+    }
+
+    try {
+      check(formatData, formatSchema)
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('condition - fluent - format', function(test) {
+    try {
+      check(formatDataFail, formatSchemaHas)
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Email must be a valid email address')
+    }
+
+    try {
+      check(formatDataFail, formatCustomSchemaHas)
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Must be an email')
+    }
+
+    try {
+      check(formatData, formatSchemaHas)
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('condition - format - built-in formats', function(test) {
+    const cases = {
+      email: [['hello@example.com', 'first.last+tag@sub.example.co'], ['hello', 'hello@', '@example.com', 'hello@example']],
+      url: [['https://example.com', 'http://localhost:3000/path?q=1', 'https://127.0.0.1/#hash'], ['example.com', 'ftp://example.com', 'https://', 'https://exa mple.com']],
+      uuid: [['123e4567-e89b-12d3-a456-426614174000', '6F9619FF-8B86-4011-B42D-00C04FC964FF'], ['123e4567e89b12d3a456426614174000', '123e4567-e89b-12d3-a456-42661417400z']],
+      'iso-date': [['2024-02-29', '2000-02-29', '2024-02-29T10:20:30Z', '2024-02-29T10:20:30.123+02:00'], ['2024-13-01', '2024-02-29 10:20', '29/02/2024', '2020-02-31', '2023-02-29', '1900-02-29', '2024-04-31']],
+      hostname: [['localhost', 'sub.example.com', 'xn--bcher-kva.example'], ['-example.com', 'example..com', 'exa_mple.com']],
+      ip: [['127.0.0.1', '::1', '2001:db8::8a2e:370:7334', '::ffff:192.168.0.1'], ['256.0.0.1', '1.2.3', '2001:db8:::1', 'localhost']]
+    };
+
+    for (const [format, [valid, invalid]] of Object.entries(cases)) {
+      for (const value of valid) test.isTrue(Match.test(value, shape({ value: {type: String, format} }).value), `${format} should accept ${value}`);
+      for (const value of invalid) test.isFalse(Match.test(value, shape({ value: {type: String, format} }).value), `${format} should reject ${value}`);
+    }
+  });
+
+  Tinytest.add('condition - format - unknown', function(test) {
+    test.throws(() => formatUnknownHas.format('emial'), "Unknown format 'emial'");
+    test.throws(() => shape({ email: {type: String, format: 'emial'} }), "Unknown format 'emial'");
+    test.throws(() => shape({ emails: [{type: String, format: ['emial', 'Must be an email']}] }), "Unknown format 'emial'");
+  });
+
+  Tinytest.add('converts format to JSONSchema', function(test) {
+    const jsonSchema = createJSONSchema(formatSchemaHas);
+    test.equal(jsonSchema.properties.email.bsonType, 'string');
+    test.isTrue(new RegExp(jsonSchema.properties.email.pattern).test('test@testmail.com'));
+    test.isFalse(new RegExp(jsonSchema.properties.email.pattern).test('test@testmail'));
+
+    const jsonSchemaRegex = createJSONSchema(formatRegexSchemaHas);
+    test.equal(jsonSchemaRegex.properties.email.pattern, '.com$');
+    test.equal(jsonSchemaRegex.properties.email.allOf.length, 1);
+  });
+
   Tinytest.add('condition - fluent - min empty string', function(test) {
     try {
       check(minEmptyDataFail, minEmptySchemaHas)
@@ -2621,6 +2958,157 @@ if (Meteor.isServer) {
     }
   });
 
+  Tinytest.add('condition - gt lt num', function(test) {
+    try {
+      check(gtLtNumDataFailLow, gtLtNumSchema)
+      test.isTrue(false)
+    } catch(error) {
+      test.equal(error.details[0].message, 'Gt lt num must be greater than 0 and less than 1')
+    }
+
+    try {
+      check(gtLtNumDataFailHigh, gtLtNumSchema)
+      test.isTrue(false)
+    } catch(error) {
+      test.equal(error.details[0].message, 'Must be less than one')
+    }
+
+    try {
+      check(gtLtNumData, gtLtNumSchema)
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('condition - fluent - gt lt num', function(test) {
+    try {
+      check(gtLtNumDataFailLow, gtLtNumSchemaHas)
+      test.isTrue(false)
+    } catch(error) {
+      test.equal(error.details[0].message, 'Gt lt num must be greater than 0 and less than 1')
+    }
+
+    try {
+      check(gtLtNumDataFailHigh, gtLtNumSchemaHas)
+      test.isTrue(false)
+    } catch(error) {
+      test.equal(error.details[0].message, 'Must be less than one')
+    }
+
+    try {
+      check(gtLtNumData, gtLtNumSchemaHas)
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('condition - fluent - min lt int', function(test) {
+    try {
+      check({ gtLtInt: 10 }, gtLtIntSchemaHas)
+      test.isTrue(false)
+    } catch(error) {
+      test.equal(error.details[0].message, 'Gt lt int must be less than 10')
+    }
+
+    try {
+      check({ gtLtInt: 1 }, gtLtIntSchemaHas)
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('condition - fluent - gt decimal', function(test) {
+    try {
+      check({ gtDecimal: Decimal('9.5') }, gtDecimalSchemaHas)
+      test.isTrue(false)
+    } catch(error) {
+      test.equal(error.details[0].message, 'Gt decimal must be greater than 9.5')
+    }
+
+    try {
+      check({ gtDecimal: Decimal('10.25') }, gtDecimalSchemaHas)
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('condition - multipleOf', function(test) {
+    try {
+      check({ cases: 8, step: 0.07 }, multipleOfSchema)
+      test.isTrue(false)
+    } catch(error) {
+      test.equal(error.details[0].message, 'Cases must be a multiple of 6')
+    }
+
+    try {
+      check({ cases: 12, step: 0.075 }, multipleOfSchema)
+      test.isTrue(false)
+    } catch(error) {
+      test.equal(error.details[0].message, 'Must be in cents')
+    }
+
+    try {
+      check({ cases: 12, step: 0.07 }, multipleOfSchema)
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    const dose = shape({ dose: {type: Number, multipleOf: 1e-8} }).dose; // below 1e-6, String(n) uses exponential notation
+    test.isTrue(Match.test(1e-7, dose));
+    test.isTrue(Match.test(0.00000123, dose));
+    test.isTrue(Match.test(12.5, dose));
+    test.isFalse(Match.test(1.5e-8, dose));
+
+    try {
+      check({ cases: '12', step: null }, multipleOfSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details.map(d => d.name), ['cases', 'step']);
+      test.equal(error.details.map(d => d.type), ['type', 'type']);
+    }
+
+    try {
+      check({ price: 'abc' }, { price: {type: Number, gt: 0, lt: 100} });
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details.map(d => d.type), ['type']);
+    }
+  });
+
+  Tinytest.add('condition - fluent - multipleOf', function(test) {
+    try {
+      check({ cases: 6, step: 1.1, price: Decimal('19.999') }, multipleOfSchemaHas)
+      test.isTrue(false)
+    } catch(error) {
+      test.equal(error.details[0].message, 'Price must be a multiple of 0.01')
+    }
+
+    try {
+      check({ cases: 18, step: 1.1, price: Decimal('19.99') }, multipleOfSchemaHas)
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('converts multipleOf to JSONSchema', function(test) {
+    const jsonSchema = createJSONSchema(multipleOfSchemaHas);
+    test.equal(jsonSchema.properties.cases, { bsonType: 'int', multipleOf: 6 });
+    test.equal(jsonSchema.properties.step, { bsonType: 'double', multipleOf: 0.01 });
+    test.equal(jsonSchema.properties.price, { bsonType: 'decimal', multipleOf: 0.01 });
+  });
+
+  Tinytest.add('converts gt lt to JSONSchema', function(test) {
+    const jsonSchema = createJSONSchema({ gtLtNum: gtLtNumSchemaHas.gtLtNum, gtLtInt: gtLtIntSchemaHas.gtLtInt });
+    test.equal(jsonSchema.properties.gtLtNum, { bsonType: 'double', minimum: 0, exclusiveMinimum: true, maximum: 1, exclusiveMaximum: true });
+    test.equal(jsonSchema.properties.gtLtInt, { bsonType: 'int', minimum: 1, maximum: 10, exclusiveMaximum: true });
+  });
+
   Tinytest.add('condition - min int', function(test) {
     try {
       check(minIntDataFail, minIntSchema)
@@ -3157,39 +3645,109 @@ if (Meteor.isServer) {
     }
   });
 
-  Tinytest.add('condition - fluent - allow 2d array', function(test) {
+  Tinytest.add('condition - contains', function(test) {
+    try {
+      check({ roles: ['editor', 'viewer'] }, containsSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Roles must contain an item matching the contains pattern')
+    }
 
     try {
-      check(allowArrDataFail, allowArrSchemaHas)
+      check({ roles: [] }, containsSchema);
+      test.isTrue(false);
     } catch(error) {
-      test.isTrue(error)
+      test.equal(error.details[0].message, 'Roles must contain an item matching the contains pattern')
     }
 
     try {
-      check(allowArrData, allowArrSchemaHas)
+      check({ roles: ['editor', 'owner'] }, containsSchema);
       test.isTrue(true);
     } catch(error) {
       test.isTrue(error = undefined)
     }
   });
 
-  Tinytest.add('condition - fluent - custom error - allow 2d array', function(test) {
-
+  Tinytest.add('condition - fluent - contains', function(test) {
     try {
-      check(allowArrCustomDataFail, allowArrCustomSchemaHas)
+      check({ roles: ['editor'] }, containsSchemaHas);
+      test.isTrue(false);
     } catch(error) {
-      test.equal(error.details[0].message, 'Nope')
+      test.equal(error.details[0].message, 'Must have an owner')
     }
 
     try {
-      check(allowArrCustomData, allowArrCustomSchemaHas)
+      check({ roles: ['owner'] }, containsSchemaHas);
       test.isTrue(true);
     } catch(error) {
       test.isTrue(error = undefined)
     }
   });
 
-  Tinytest.add('condition - fluent - allow array of objects', function(test) {
+  Tinytest.add('condition - fluent - minContains maxContains', function(test) {
+    const emails = [{ address: 'a@b.com', primary: true }, { address: 'c@d.com', primary: false }];
+
+    try {
+      check({ emails: [...emails, { address: 'e@f.com', primary: true }], scores: [10, 11] }, minMaxContainsSchemaHas);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Only 1 primary email')
+    }
+
+    try {
+      check({ emails, scores: [1, 10, 2] }, minMaxContainsSchemaHas);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Scores must contain at least 2 items matching the contains pattern')
+    }
+
+    try {
+      check({ emails, scores: [1, 10, 12] }, minMaxContainsSchemaHas);
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('converts contains to JSONSchema', function(test) {
+    const jsonSchema = createJSONSchema(minMaxContainsSchemaHas);
+    test.equal(jsonSchema.properties.scores, { bsonType: 'array', items: { bsonType: 'double' }, not: { items: { not: { bsonType: 'double', minimum: 10 } } } });
+    test.equal(createJSONSchema(containsSchema).properties.roles.not, { items: { not: { enum: ['owner'] } } });
+  });
+
+  Tinytest.add('condition - fluent - allow 2d array', function(test) {
+
+    try {
+      check(allowArrDataFail, allowArrSchemaHas)
+    } catch(error) {
+      test.isTrue(error)
+    }
+
+    try {
+      check(allowArrData, allowArrSchemaHas)
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('condition - fluent - custom error - allow 2d array', function(test) {
+
+    try {
+      check(allowArrCustomDataFail, allowArrCustomSchemaHas)
+    } catch(error) {
+      test.equal(error.details[0].message, 'Nope')
+    }
+
+    try {
+      check(allowArrCustomData, allowArrCustomSchemaHas)
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('condition - fluent - allow array of objects', function(test) {
     try {
       check(allowArrOfObjDataFail, allowArrOfObjSchemaHas)
     } catch(error) {
@@ -3358,144 +3916,1028 @@ if (Meteor.isServer) {
     try {
       check(genericObjAllowDataFail, genericObjAllowSchemaHas)
     } catch(error) {
-      test.isTrue(error)
+      test.isTrue(error)
+    }
+
+    try {
+      check(genericObjAllowData, genericObjAllowSchemaHas)
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('any', function(test) {
+    try {
+      check(anyData, anySchema)
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    try {
+      check(anyData, anyVariantSchema)
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('date', function(test) {
+    try {
+      check(dateDataFail, dateSchema)
+    } catch(error) {
+      test.isTrue(error)
+    }
+
+    try {
+      check(dateData, dateSchema)
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('condition - date allow', function(test) {
+    try {
+      check(allowDateDataFail, allowDateSchema)
+    } catch(error) {
+      test.isTrue(error)
+    }
+
+    try {
+      check(allowDateData, allowDateSchema)
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('condition - fluent - date allow', function(test) {
+    try {
+      check(allowDateDataFail, allowDateSchemaHas)
+    } catch(error) {
+      test.isTrue(error)
+    }
+
+    try {
+      check(allowDateData, allowDateSchemaHas)
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('condition - min max date', function(test) {
+    try {
+      check({ due: new Date('2024-06-01T00:00:00.000Z') }, minMaxDateSchema);
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    try {
+      check({ due: new Date('2019-12-31T00:00:00.000Z') }, minMaxDateSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Due must be on or after 2020-01-01T00:00:00.000Z and on or before 2030-01-01T00:00:00.000Z');
+    }
+
+    try {
+      check({ due: new Date('2031-01-01T00:00:00.000Z') }, minMaxDateSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Too far out');
+    }
+  });
+
+  Tinytest.add('condition - fluent - relative date', function(test) {
+    const day = 24 * 60 * 60 * 1000;
+    const due = new Date('2024-06-01T00:00:00.000Z');
+
+    test.equal(minMaxDateSchemaHas.birthDate.pattern.schema.max, ['now', 'Birth date must be in the past']);
+    test.equal(minMaxDateSchemaHas.starts.pattern.schema.min, 'now');
+
+    try {
+      check({ due, birthDate: new Date(Date.now() - day), starts: new Date(Date.now() + day), lastSeen: new Date(Date.now() - 30 * day) }, minMaxDateSchemaHas);
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    try {
+      check({ due, birthDate: new Date(Date.now() + day) }, minMaxDateSchemaHas);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Birth date must be in the past');
+    }
+
+    try {
+      check({ due, starts: new Date(Date.now() - day) }, minMaxDateSchemaHas);
+      test.isTrue(false);
+    } catch(error) {
+      test.isTrue(error.details[0].message.startsWith('Starts must be in the future and on or before'));
+    }
+
+    try {
+      check({ due, starts: new Date(Date.now() + 31 * day), lastSeen: new Date(Date.now() - 200 * day) }, minMaxDateSchemaHas);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details.map(d => d.name), ['starts', 'lastSeen']);
+    }
+  });
+
+  Tinytest.add('condition - relative date - unknown offset', function(test) {
+    test.throws(() => relativeDateUnknownHas.max({dayz: 30}), "Unknown date offset 'dayz'");
+    test.throws(() => shape({ starts: {type: Date, max: {dayz: 30}} }), "Unknown date offset 'dayz'");
+    test.throws(() => shape({ lastSeen: Optional({type: Date, min: [{monthz: -6}, 'Too long ago']}) }), "Unknown date offset 'monthz'");
+    test.isTrue(Match.test(new Date(), shape({ starts: {type: Date, max: {weeks: 2, days: 1}} }).starts));
+  });
+
+  Tinytest.add('converts date min max to validator', function(test) {
+    const { $jsonSchema, $and } = createValidator(minMaxDateSchemaHas);
+    test.equal($jsonSchema.properties.due, { bsonType: 'date' });
+    test.equal($and, [
+      { due: { $gte: new Date('2020-01-01T00:00:00.000Z'), $lte: new Date('2030-01-01T00:00:00.000Z') } },
+      { $or: [{ 'event.at': { $exists: false } }, { 'event.at': { $gte: new Date('2020-01-01T00:00:00.000Z') } }] }
+    ]);
+    test.equal(createValidator(dateSchema).$and, undefined);
+  });
+
+  Tinytest.add('boolean', function(test) {
+    try {
+      check(booleanDataFail, booleanSchema)
+    } catch(error) {
+      test.isTrue(error)
+    }
+
+    try {
+      check(booleanData, booleanSchema)
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('condition - boolean allow', function(test) {
+    try {
+      check(booleanAllowDataFail, booleanAllowSchema)
+    } catch(error) {
+      test.isTrue(error)
+    }
+
+    try {
+      check(booleanAllowData, booleanAllowSchema)
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('condition - fluent - boolean allow', function(test) {
+    try {
+      check(booleanAllowDataFail, booleanAllowSchemaHas)
+    } catch(error) {
+      test.isTrue(error)
+    }
+
+    try {
+      check(booleanAllowData, booleanAllowSchemaHas)
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('anyOf', function(test) {
+    try {
+      check(anyOfDataFail, anyOfSchema)
+    } catch(error) {
+      test.isTrue(error)
+    }
+
+    try {
+      check(anyOfNumData, anyOfSchema)
+    } catch(error) {
+      test.isTrue(error)
+    }
+
+    try {
+      check(anyOfData, anyOfSchema)
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('union', function(test) {
+    try {
+      check({ payment: { kind: 'card', number: '4242', expiry: '12/30' } }, unionSchema);
+      check({ payment: { kind: 'bank', accountNumber: '123', routingNumber: '123456789' } }, unionSchema);
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    try {
+      check({ payment: { kind: 'card', number: 4242, expiry: '12/30' } }, unionSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details, [{ name: 'number', type: 'type', message: 'Number must be a string, not number' }]);
+    }
+
+    try {
+      check({ payment: { kind: 'card', accountNumber: '123', routingNumber: '123456789' } }, unionSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details.length, 1); // only errors from the card branch are reported
+      test.equal(error.details[0].name, 'accountNumber');
+    }
+
+    try {
+      check({ payment: { kind: 'bank', accountNumber: '123', routingNumber: '1' } }, unionSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Routing number must be at least 9 characters');
+    }
+
+    try {
+      check({ payment: { kind: 'cash' } }, unionSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Kind must be one of card, bank');
+    }
+
+    try {
+      check({ payment: { number: '4242', expiry: '12/30' } }, unionSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Kind is required');
+    }
+  });
+
+  Tinytest.add('union - array', function(test) {
+    try {
+      check({ payments: [{ kind: 'card', number: '4242' }, { kind: 'bank', accountNumber: '123' }] }, unionArraySchema);
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    try {
+      check({ payments: [{ kind: 'card', number: '4242' }, { kind: 'bank', number: '4242' }] }, unionArraySchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.isTrue(error.details.length);
+    }
+  });
+
+  Tinytest.add('union - modifier', function(test) {
+    try {
+      check({ $set: { 'payment.number': '4242' } }, unionSchema);
+      check({ $set: { payment: { kind: 'bank', accountNumber: '123' } } }, unionSchema);
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    try {
+      check({ $set: { 'payment.number': 4242 } }, unionSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Payment must match one of the kind branches: card, bank');
+    }
+  });
+
+  Tinytest.add('allOf', function(test) {
+    try {
+      check({ post: { title: 'Hi', body: 'There', createdAt: new Date() }, code: 'ABC' }, allOfSchema);
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    try {
+      check({ post: { title: 'Hi', body: 'There' }, code: 'ABC' }, allOfSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Created at is required');
+    }
+
+    try {
+      check({ post: { title: 'Hi', body: 'There', createdAt: new Date(), extra: 1 }, code: 'ABC' }, allOfSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].name, 'extra');
+    }
+
+    try {
+      check({ post: { title: 'Hi', body: 'There', createdAt: new Date() }, code: 'AB' }, allOfSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Code must be at least 3 characters');
+    }
+
+    try {
+      check({ post: { title: 'Hi', body: 'There', createdAt: new Date() }, code: 'abc' }, allOfSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Code must match regex /^[A-Z]+$/');
+    }
+  });
+
+  Tinytest.add('allOf - modifier', function(test) {
+    try {
+      check({ $set: { 'post.title': 'New' } }, allOfSchema);
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    try {
+      check({ $set: { 'post.title': 1 } }, allOfSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Title must be a string, not number');
+    }
+  });
+
+  Tinytest.add('not', function(test) {
+    try {
+      check({ username: 'bob' }, notSchema);
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    try {
+      check({ username: 'admin' }, notSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Username is not allowed');
+    }
+
+    try {
+      check({ username: 1 }, notSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].type, 'type');
+    }
+  });
+
+  Tinytest.add('converts allOf and not to JSONSchema', function(test) {
+    const jsonSchema = createJSONSchema({ ...allOfSchema, ...notSchema });
+    test.equal(jsonSchema.properties.post, {
+      bsonType: 'object',
+      allOf: [
+        { bsonType: 'object', properties: { title: { bsonType: 'string' }, body: { bsonType: 'string' } }, required: ['title', 'body'] },
+        { bsonType: 'object', properties: { createdAt: { bsonType: 'date' }, updatedAt: { bsonType: 'date' } }, required: ['createdAt'] }
+      ],
+      properties: { title: {}, body: {}, createdAt: {}, updatedAt: {} },
+      additionalProperties: false
+    });
+    test.equal(jsonSchema.properties.code, { allOf: [{ bsonType: 'string', minLength: 3 }, { bsonType: 'string', pattern: '^[A-Z]+$' }] });
+    test.equal(jsonSchema.properties.username, { allOf: [{ bsonType: 'string' }, { not: { anyOf: [{ enum: ['admin'] }, { enum: ['root'] }] } }] });
+  });
+
+  Tinytest.add('nullable', function(test) {
+    try {
+      check({ middleName: null, role: null, address: null }, nullableSchema);
+      check({ middleName: 'Jo', nickname: null, role: 'admin', address: { street: '1 Main', city: 'Town' } }, nullableSchema);
+      check({ middleName: 'Jo', nickname: 'Jo', role: 'user', address: null }, nullableSchema);
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    try {
+      check({ role: null, address: null }, nullableSchema, { full: true });
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Middle name is required');
+    }
+
+    try {
+      check({ middleName: null, nickname: 'J', role: null, address: null }, nullableSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Nickname must be at least 2 characters');
+    }
+
+    try {
+      check({ middleName: null, role: 'owner', address: null }, nullableSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Role must have an allowed value, not "owner"');
+    }
+
+    try {
+      check({ middleName: null, role: null, address: { street: '1 Main' } }, nullableSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'City is required');
+    }
+  });
+
+  Tinytest.add('nullable - modifier', function(test) {
+    try {
+      check({ $set: { 'address.city': 'Town', nickname: null } }, nullableSchema);
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('converts nullable to JSONSchema', function(test) {
+    const jsonSchema = createJSONSchema(nullableSchema);
+    test.equal(jsonSchema.properties.middleName, { bsonType: ['string', 'null'] });
+    test.equal(jsonSchema.properties.nickname, { bsonType: ['string', 'null'], minLength: 2 });
+    test.equal(jsonSchema.properties.role, { bsonType: ['string', 'null'], enum: ['admin', 'user', null] });
+    test.equal(jsonSchema.properties.address.bsonType, ['object', 'null']);
+    test.equal(jsonSchema.required, ['middleName', 'role', 'address']);
+  });
+
+  Tinytest.add('literal', function(test) {
+    try {
+      check({ version: 'v2', archived: false, level: 2 }, literalSchema);
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    try {
+      check({ version: 'v1', archived: true, level: 2 }, literalSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details.map(d => d.message), ['Version must be "v2"', 'Archived must be false']);
+    }
+
+    try {
+      check({ version: 'v2', archived: false, level: 4 }, literalSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].name, 'level');
+    }
+  });
+
+  Tinytest.add('converts literal to JSONSchema', function(test) {
+    const jsonSchema = createJSONSchema(literalSchema);
+    test.equal(jsonSchema.properties.version, { enum: ['v2'] });
+    test.equal(jsonSchema.properties.archived, { enum: [false] });
+    test.equal(jsonSchema.properties.level, { anyOf: [{ enum: [1] }, { enum: [2] }, { enum: [3] }] });
+  });
+
+  Tinytest.add('tuple', function(test) {
+    try {
+      check({ entry: ['apples', 3], point: [1, 2], entries: [['a', { name: 'b' }]] }, tupleSchema);
+      check({ entry: ['apples', 1], point: [1, 2, 3] }, tupleSchema);
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    try {
+      check({ entry: ['', 3], point: [1, 2] }, tupleSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Entry[0] cannot be empty');
+    }
+
+    try {
+      check({ entry: ['apples', 0], point: [1, 2] }, tupleSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].name, 'entry[1]');
+      test.equal(error.details[0].type, 'condition');
+    }
+
+    try {
+      check({ entry: ['apples', 3, 'extra'], point: [1] }, tupleSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details.map(d => d.message), ['Entry must have 2 items', 'Point must have between 2 and 3 items']);
+    }
+
+    try {
+      check({ entry: ['apples', 3], point: [1, 2], entries: [['a', { name: 1 }]] }, tupleSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Name must be a string, not number');
+      test.equal(error.details[0].name, 'name');
+    }
+  });
+
+  Tinytest.add('converts tuple to JSONSchema', function(test) {
+    const jsonSchema = createJSONSchema(tupleSchema);
+    test.equal(jsonSchema.properties.entry, { bsonType: 'array', items: [{ bsonType: 'string', minLength: 1 }, { bsonType: 'int', minimum: 1 }], additionalItems: false, minItems: 2 });
+    test.equal(jsonSchema.properties.point, { bsonType: 'array', items: [{ bsonType: 'double' }, { bsonType: 'double' }, { bsonType: 'double' }], additionalItems: false, minItems: 2 });
+    test.equal(jsonSchema.properties.entries.items.items[1].required, ['name']);
+  });
+
+  Tinytest.add('record', function(test) {
+    const userId = Random.id();
+
+    try {
+      check({ names: { en: 'Hello', 'fr-FR': 'Bonjour' }, members: { [userId]: { role: 'admin' } }, tags: { a: true } }, recordSchema);
+      check({ names: {}, members: { [userId]: { role: 'admin' } } }, recordSchema);
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    try {
+      check({ names: { english: 'Hello' }, members: { [userId]: { role: 'admin' } } }, recordSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'English is not an allowed key');
+    }
+
+    try {
+      check({ names: { en: '' }, members: { [userId]: { role: 1 } } }, recordSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details.map(d => d.message), ['En cannot be empty', 'Role must be a string, not number']);
+    }
+
+    try {
+      check({ names: {}, members: {}, tags: { a: true, b: false, c: true } }, recordSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details.map(d => d.message), ['Members must have at least 1 keys', 'Too many tags']);
+    }
+  });
+
+  Tinytest.add('record - modifier', function(test) {
+    try {
+      check({ $set: { 'names.de': 'Hallo', [`members.${Random.id()}.role`]: 'editor' } }, recordSchema);
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    const statsSchema = { stats: Record(/^\d{4}$/, Number), history: [Record(/^\d{4}$/, Number)] };
+
+    try {
+      check({ $set: { 'stats.2024': 5, 'history.1.2024': 3 } }, statsSchema); // digits are Record keys unless they're an array index
+      check({ $set: { stats: { '2024': 5 } }, $inc: { 'stats.2025': 1 } }, statsSchema);
+      check({ $push: { history: { '2024': 1 } } }, statsSchema);
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    try {
+      check({ $set: { 'stats.2024': 'a' } }, statsSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details.map(d => d.message), ['2024 must be a number, not string']);
+    }
+
+    try {
+      check({ $set: { 'stats.24': 1 } }, statsSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details.map(d => d.message), ['24 is not an allowed key']);
+    }
+  });
+
+  Tinytest.add('converts record to JSONSchema', function(test) {
+    const jsonSchema = createJSONSchema(recordSchema);
+    test.equal(jsonSchema.properties.names, { bsonType: 'object', patternProperties: { '^[a-z]{2}(-[A-Z]{2})?$': { bsonType: 'string', minLength: 1 } }, additionalProperties: false });
+    test.equal(jsonSchema.properties.members.minProperties, 1);
+    test.equal(jsonSchema.properties.members.patternProperties[ID_PATTERN.source].required, ['role']);
+    test.equal(jsonSchema.properties.tags, { bsonType: 'object', patternProperties: { '.*': { bsonType: 'bool' } }, additionalProperties: false, maxProperties: 2 });
+  });
+
+  Tinytest.add('lazy', function(test) {
+    try {
+      check({ comment: { text: 'a', replies: [{ text: 'b', replies: [{ text: 'c', replies: [] }] }] } }, threadSchema);
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    try {
+      check({ comment: { text: 'a', replies: [{ text: 'b', replies: [{ text: '', replies: [] }] }] } }, threadSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Text cannot be empty');
+      test.equal(error.details[0].path, 'comment.replies[0].replies[0].text');
+    }
+
+    try {
+      check({ comment: { text: 'a', replies: [{ text: 'b', replies: [{ text: 'c', replies: [{ text: 'd', replies: [] }] }] }] } }, threadSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, 'Replies[0] cannot be nested more than 2 levels deep');
+    }
+
+    try {
+      check({ comment: { text: 'a', replies: [{ text: 'b', replies: [{ text: 'c', replies: [] }] }] } }, threadSchema);
+      test.isTrue(true); // the depth is reset after a failed check
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    const nest = levels => levels ? { text: 'a', replies: [nest(levels - 1)] } : { text: 'a', replies: [] };
+
+    try {
+      check({ $set: { comment: nest(50) } }, threadSchema); // an update modifier is checked against the optionalized schema
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details.map(d => d.name), ['replies[0]']);
+    }
+
+    try {
+      check({ $set: { comment: nest(2) } }, threadSchema);
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('converts lazy to JSONSchema', function(test) {
+    const jsonSchema = createJSONSchema(threadSchema);
+    const reply = jsonSchema.properties.comment.properties.replies.items;
+    test.equal(reply.properties.text, { bsonType: 'string', minLength: 1 });
+    test.equal(reply.properties.replies.items.properties.text, { bsonType: 'string', minLength: 1 });
+    test.equal(reply.properties.replies.items.properties.replies.items, {});
+  });
+
+  Tinytest.add('long', function(test) {
+    const { Long: MongoLong } = MongoInternals.NpmModules.mongodb.module;
+
+    try {
+      check({ views: 10n, snowflake: 1234567890123456789n, history: [1n, MongoLong.fromString('2')] }, countersSchema);
+      check({ views: MongoLong.fromString('10'), snowflake: -(2n ** 63n) }, countersSchema);
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    try {
+      check({ views: 10, snowflake: 2n ** 63n }, countersSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details.map(d => d.name), ['views', 'snowflake']);
+    }
+
+    for (const views of [1.5, '12a', {}, null]) {
+      try {
+        check({ views, snowflake: 1n }, countersSchema);
+        test.isTrue(false);
+      } catch(error) {
+        test.equal(error.details.map(d => d.name), ['views']);
+      }
+    }
+
+    const data = { views: 10, snowflake: 42, history: [1, 2.5] };
+    check({ ...data, history: [1] }, countersSchema, { transform: true }); // safe integers are converted to BigInts when writing, e.g. after reading a document
+    try {
+      check(data, countersSchema, { transform: true });
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(data, { views: 10n, snowflake: 42n, history: [1n, 2.5] });
+      test.equal(error.details.map(d => d.name), ['history[1]']);
+    }
+
+    try {
+      check({ views: 2n ** 41n }, countersSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, `Views must be at most ${2n ** 40n}`);
+    }
+
+    try {
+      check({ views: MongoLong.fromString('2199023255552') }, countersSchema);
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details[0].message, `Views must be at most ${2n ** 40n}`);
+    }
+
+    try {
+      check({ $set: { views: MongoLong.fromString('5') }, $push: { history: 6n } }, countersSchema);
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+  });
+
+  Tinytest.add('converts long to JSONSchema', function(test) {
+    const jsonSchema = createJSONSchema(countersSchema);
+    test.equal(jsonSchema.properties.views, { bsonType: 'long', minimum: 0, maximum: 2n ** 40n });
+    test.equal(jsonSchema.properties.snowflake, { bsonType: 'long' });
+    test.equal(jsonSchema.properties.history, { bsonType: 'array', items: { bsonType: 'long' } });
+  });
+
+  Tinytest.addAsync('long - insert and update', async (test) => {
+    try {
+      const _id = await Counters.insertAsync({ views: 0n, snowflake: 1234567890123456789n });
+      await Counters.updateAsync({ _id }, { $set: { views: 5n }, $push: { history: 1n } });
+      await Counters.updateAsync({ _id }, { $inc: { views: 1n } });
+      test.isTrue(true);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    try {
+      const _id = await Counters.insertAsync({ views: 0, snowflake: 1 }); // safe integers are converted to BigInts
+      await Counters.updateAsync({ _id }, { $set: { views: 5 }, $push: { history: 1 } });
+      await Counters.updateAsync({ _id }, { $inc: { views: 1 } });
+      test.equal((await Counters.rawCollection().findOne({ _id }, { useBigInt64: true })).views, 6n);
+    } catch(error) {
+      test.isTrue(error = undefined)
+    }
+
+    try {
+      await Counters.insertAsync({ views: 1.5, snowflake: '1' });
+      test.isTrue(false);
+    } catch(error) {
+      test.equal(error.details.map(d => d.name), ['views', 'snowflake']);
+    }
+  });
+
+  Tinytest.addAsync('long - find then replace', async (test) => {
+    try {
+      const _id = await Counters.insertAsync({ views: 5n, snowflake: 42n });
+
+      const raw = await Counters.rawCollection().findOne({ _id }, { useBigInt64: true });
+      test.equal(typeof raw.views, 'bigint');
+      await Counters.updateAsync({ _id }, { ...raw, views: raw.views + 1n });
+
+      const doc = await Counters.findOneAsync(_id); // the driver returns longs that fit in 53 bits as Numbers by default
+      await Counters.updateAsync({ _id }, doc);
+
+      const { views, snowflake } = await Counters.rawCollection().findOne({ _id }, { useBigInt64: true });
+      test.equal([views, snowflake], [6n, 42n]);
+    } catch(error) {
+      test.isTrue(error = undefined)
     }
+  });
 
+  Tinytest.add('binary', function(test) {
     try {
-      check(genericObjAllowData, genericObjAllowSchemaHas)
+      check({ thumbnail: new Uint8Array([1, 2, 3]), hash: new Uint8Array([1, 2]) }, binarySchema);
+      check({ thumbnail: new Uint8Array(0) }, binarySchema);
       test.isTrue(true);
     } catch(error) {
       test.isTrue(error = undefined)
     }
-  });
 
-  Tinytest.add('any', function(test) {
     try {
-      check(anyData, anySchema)
-      test.isTrue(true);
+      check({ thumbnail: 'abc', hash: [1, 2] }, binarySchema);
+      test.isTrue(false);
     } catch(error) {
-      test.isTrue(error = undefined)
+      test.equal(error.details.map(d => d.name), ['thumbnail', 'hash']);
     }
 
     try {
-      check(anyData, anyVariantSchema)
-      test.isTrue(true);
+      check({ thumbnail: new Uint8Array(5), hash: new Uint8Array(3) }, binarySchema);
+      test.isTrue(false);
     } catch(error) {
-      test.isTrue(error = undefined)
+      test.equal(error.details.map(d => d.message), ['Thumbnail must be at most 4 bytes', 'Hash must be 2 bytes']);
     }
   });
 
-  Tinytest.add('date', function(test) {
+  Tinytest.add('converts binary to JSONSchema', function(test) {
+    const jsonSchema = createJSONSchema(binarySchema);
+    test.equal(jsonSchema.properties.thumbnail, { bsonType: 'binData' });
+    test.equal(jsonSchema.properties.hash, { bsonType: 'binData' });
+  });
+
+  Tinytest.add('transforms - shape', function(test) {
+    const { $transforms } = shape(profilesSchema);
+    test.equal($transforms, [
+      { path: ['email'], trim: true, lowercase: true, uppercase: undefined, normalize: undefined },
+      { path: ['username'], trim: true, lowercase: undefined, uppercase: undefined, normalize: 'NFC' },
+      { path: ['code'], trim: undefined, lowercase: undefined, uppercase: true, normalize: undefined },
+      { path: ['aliases', '0'], trim: true, lowercase: true, uppercase: undefined, normalize: undefined },
+      { path: ['profile', 'name'], trim: true, lowercase: undefined, uppercase: undefined, normalize: undefined }
+    ]);
+    test.equal(String[has].normalize().schema.normalize, 'NFC');
+  });
+
+  Tinytest.add('transforms - check', function(test) {
+    const data = { email: '  Bob@Example.COM ', username: ' Cafe\u0301 ', code: 'ab1', aliases: [' Bobby '], profile: { name: ' Bob ' } };
+
     try {
-      check(dateDataFail, dateSchema)
+      check({ ...data }, profilesSchema);
+      test.isTrue(false);
     } catch(error) {
-      test.isTrue(error)
+      test.equal(error.details[0].name, 'email');
     }
 
     try {
-      check(dateData, dateSchema)
-      test.isTrue(true);
+      check(data, profilesSchema, { transform: true });
+      test.equal(data, { email: 'bob@example.com', username: 'Caf\u00e9', code: 'AB1', aliases: ['bobby'], profile: { name: 'Bob' } });
     } catch(error) {
       test.isTrue(error = undefined)
     }
   });
 
-  Tinytest.add('condition - date allow', function(test) {
+  Tinytest.add('transforms - check modifier', function(test) {
+    const modifier = { $set: { email: ' Bob@Example.COM', 'profile.name': ' Bob ', 'aliases.1': ' B ' }, $push: { aliases: { $each: [' Robert '] } }, $addToSet: { aliases: ' ROB' } };
+
     try {
-      check(allowDateDataFail, allowDateSchema)
+      check(modifier, Profiles._schemaDeepOptional, { transform: true });
+      test.equal(modifier, { $set: { email: 'bob@example.com', 'profile.name': 'Bob', 'aliases.1': 'b' }, $push: { aliases: { $each: ['robert'] } }, $addToSet: { aliases: 'rob' } });
     } catch(error) {
-      test.isTrue(error)
+      test.isTrue(error = undefined)
     }
 
+    const positional = { $set: { 'aliases.$': ' Bo ', 'aliases.$[]': ' Bobby ' } };
+
     try {
-      check(allowDateData, allowDateSchema)
-      test.isTrue(true);
+      check(positional, Profiles._schemaDeepOptional, { transform: true });
+      test.equal(positional, { $set: { 'aliases.$': 'bo', 'aliases.$[]': 'bobby' } });
     } catch(error) {
       test.isTrue(error = undefined)
     }
   });
 
-  Tinytest.add('condition - fluent - date allow', function(test) {
+  Tinytest.addAsync('transforms - insert, update, and upsert', async (test) => {
     try {
-      check(allowDateDataFail, allowDateSchemaHas)
+      const _id = await Profiles.insertAsync({ email: ' Bob@Example.com ', username: ' bob ' });
+      test.equal(await Profiles.findOneAsync(_id), { _id, email: 'bob@example.com', username: 'bob' });
+
+      await Profiles.updateAsync({ _id }, { $set: { email: ' BOBBY@example.com', code: 'x1' } });
+      const { email, code } = await Profiles.findOneAsync(_id);
+      test.equal([email, code], ['bobby@example.com', 'X1']);
+
+      await Profiles.upsertAsync({ username: 'rob' }, { $set: { email: ' ROB@example.com ' } });
+      test.equal((await Profiles.findOneAsync({ username: 'rob' })).email, 'rob@example.com');
     } catch(error) {
-      test.isTrue(error)
+      test.isTrue(error = undefined)
     }
+  });
 
+  Tinytest.add('registerType', function(test) {
     try {
-      check(allowDateData, allowDateSchemaHas)
+      check({ currency: 'USD', allowed: 'EUR', price: 100, discount: 0 }, customTypesSchema, { full: true });
       test.isTrue(true);
     } catch(error) {
       test.isTrue(error = undefined)
     }
-  });
 
-  Tinytest.add('boolean', function(test) {
     try {
-      check(booleanDataFail, booleanSchema)
+      check({ currency: 'usd', allowed: 'GBP', price: 0, discount: 1.5 }, customTypesSchema, { full: true });
+      test.isTrue(false);
     } catch(error) {
-      test.isTrue(error)
+      test.equal(error.details.map(d => d.message), ['Currency must be a Currency, not string', 'Allowed must have an allowed value, not "GBP"', 'Price must be greater than 0', 'Discount must be a Cents, not number']);
     }
 
+    test.throws(() => EasySchema.registerType('Currency', { test: () => true }), 'already registered');
+    test.throws(() => EasySchema.registerType('Weight', { test: () => true, conditions: ['regexp'] }), 'Unknown condition');
+    test.throws(() => EasySchema.registerType('Weight', {}), 'must have a test function');
+  });
+
+  Tinytest.add('converts registered types to JSONSchema', function(test) {
+    const jsonSchema = createJSONSchema(customTypesSchema);
+    test.equal(jsonSchema.properties.currency, { bsonType: 'string', pattern: '^[A-Z]{3}$' });
+    test.equal(jsonSchema.properties.allowed, { bsonType: 'string', pattern: '^[A-Z]{3}$', enum: ['USD', 'EUR'] });
+    test.equal(jsonSchema.properties.price, { bsonType: 'long', minimum: 0, exclusiveMinimum: true, maximum: 100000 });
+    test.equal(jsonSchema.properties.discount, { bsonType: 'long', minimum: 0 });
+    test.equal(jsonSchema.required, ['currency', 'allowed', 'price']);
+  });
+
+  Tinytest.add('converts registered types without a bsonType to JSONSchema', function(test) {
+    const jsonSchema = createJSONSchema({ rating: Rating, stars: {type: Rating, min: 3, enums: [3, 4, 5]} });
+    test.equal(jsonSchema.properties.rating, {});
+    test.equal(jsonSchema.properties.stars, { enum: [3, 4, 5] });
+    test.isFalse('bsonType' in jsonSchema.properties.stars);
+  });
+
+  Tinytest.add('addCondition', function(test) {
     try {
-      check(booleanData, booleanSchema)
+      check({ path: '/home', slug: 'hello-world', username: 'bob', currency: 'USD' }, customConditionsSchema, { full: true });
       test.isTrue(true);
     } catch(error) {
       test.isTrue(error = undefined)
     }
-  });
 
-  Tinytest.add('condition - boolean allow', function(test) {
     try {
-      check(booleanAllowDataFail, booleanAllowSchema)
+      check({ path: 'home', slug: 'Hello World', username: 'admin', handle: 'bob', currency: 'XXX' }, customConditionsSchema, { full: true });
+      test.isTrue(false);
     } catch(error) {
-      test.isTrue(error)
+      test.equal(error.details.map(d => d.message), ['Path must start with /', 'Slug must be a slug', 'That username is taken', 'Handle must start with @', 'Currency must satisfy the notReserved condition']);
     }
 
     try {
-      check(booleanAllowData, booleanAllowSchema)
-      test.isTrue(true);
+      check({ path: 5, slug: 'hello', username: 7, currency: 'USD' }, customConditionsSchema, { full: true }); // custom conditions don't run when the value is the wrong type
+      test.isTrue(false);
     } catch(error) {
-      test.isTrue(error = undefined)
+      test.equal(error.details.map(d => d.name), ['path', 'username']);
+      test.equal(error.details.map(d => d.type), ['type', 'type']);
     }
+
+    test.equal(typeof Number[has].startsWith, 'undefined');
+    test.throws(() => EasySchema.addCondition('min', { types: [String], validate: () => true }), 'already exists');
+    test.throws(() => EasySchema.addCondition('even', { types: [Number] }), 'must have a validate function');
   });
 
-  Tinytest.add('condition - fluent - boolean allow', function(test) {
+  Tinytest.add('converts custom conditions to JSONSchema', function(test) {
+    const jsonSchema = createJSONSchema(customConditionsSchema);
+    test.equal(jsonSchema.properties.path, { bsonType: 'string', pattern: '^/' });
+    test.equal(jsonSchema.properties.slug, { bsonType: 'string', maxLength: 20, pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$' });
+    test.equal(jsonSchema.properties.username, { bsonType: 'string' });
+    test.equal(jsonSchema.properties.handle, { bsonType: 'string', pattern: '^@', allOf: [{ pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$' }] });
+  });
+
+  Tinytest.addAsync('async where - insert and update', async (test) => {
+    await Pages.removeAsync({});
+    const _id = await Pages.insertAsync({ slug: 'home', tags: ['a'] });
+
     try {
-      check(booleanAllowDataFail, booleanAllowSchemaHas)
+      await Pages.insertAsync({ slug: 'home' });
+      test.isTrue(false);
     } catch(error) {
-      test.isTrue(error)
+      test.equal(error.details.map(d => d.message), ['Slug is taken']);
     }
 
     try {
-      check(booleanAllowData, booleanAllowSchemaHas)
-      test.isTrue(true);
+      await Pages.updateAsync({ _id }, { $set: { slug: 'about' }, $push: { tags: 'banned' } });
+      test.isTrue(false);
     } catch(error) {
-      test.isTrue(error = undefined)
+      test.equal(error.details.map(d => d.message), ['Tag is not allowed']);
     }
-  });
 
-  Tinytest.add('anyOf', function(test) {
     try {
-      check(anyOfDataFail, anyOfSchema)
+      await Pages.updateAsync({ _id }, { $set: { slug: 'about' } });
+      test.equal((await Pages.findOneAsync(_id)).slug, 'about');
     } catch(error) {
-      test.isTrue(error)
+      test.isTrue(error = undefined)
     }
+  });
+
+  Tinytest.add('creates unique indexes', function(test) {
+    test.equal(createUniqueIndexes(membersSchema), [
+      { key: { email: 1 }, options: { unique: true, collation: { locale: 'en', strength: 2 } }, message: 'Email is already taken' },
+      { key: { handle: 1 }, options: { unique: true, partialFilterExpression: { handle: { $exists: true } } } }
+    ]);
+
+    test.equal(createUniqueIndexes({ profile: { code: {type: String, unique: { partial: { active: true } }} }, active: Boolean }), [
+      { key: { 'profile.code': 1 }, options: { unique: true, partialFilterExpression: { active: true } } }
+    ]);
+
+    test.equal(createJSONSchema(membersSchema).properties.email, { bsonType: 'string' });
+    test.equal(createJSONSchema(membersSchema).properties.tags.uniqueItems, true);
+  });
+
+  Tinytest.addAsync('unique - duplicate key errors are ValidationErrors', async (test) => {
+    const rawMembers = Members.rawCollection();
+    for (let i = 0; i < 50 && !(await rawMembers.indexExists(['email_1', 'handle_1']).catch(() => false)); i++) await new Promise(r => setTimeout(r, 100)); // the indexes are created in the background by attachSchema
+
+    await Members.removeAsync({});
+    const _id = await Members.insertAsync({ email: 'bob@example.com', tags: [] });
+    await Members.insertAsync({ email: 'alice@example.com', handle: 'alice', tags: [] });
 
     try {
-      check(anyOfNumData, anyOfSchema)
+      await Members.insertAsync({ email: 'BOB@example.com', tags: [] });
+      test.isTrue(false);
     } catch(error) {
-      test.isTrue(error)
+      test.equal(error.details, [{ name: 'email', type: 'condition', message: 'Email is already taken' }]);
     }
 
     try {
-      check(anyOfData, anyOfSchema)
-      test.isTrue(true);
+      await Members.updateAsync({ _id }, { $set: { handle: 'alice' } });
+      test.isTrue(false);
     } catch(error) {
-      test.isTrue(error = undefined)
+      test.equal(error.details, [{ name: 'handle', type: 'condition', message: 'Handle must be unique' }]);
     }
   });
 
+  Tinytest.add('converts schemas with $indexes to JSONSchema', function(test) {
+    test.equal(Object.keys(createValidator(postsSchema).$jsonSchema.properties), ['_id', 'title', 'body', 'authorId', 'slug', 'expiresAt']);
+  });
+
+  Tinytest.addAsync('indexes - attachSchema creates them', async (test) => {
+    const rawPosts = Posts.rawCollection();
+    const names = ['authorId_1', 'slug_1', 'expiresAt_1', 'title_text_body_text', 'author_expires'];
+    for (let i = 0; i < 50 && !(await rawPosts.indexExists(names).catch(() => false)); i++) await new Promise(r => setTimeout(r, 100)); // the indexes are created in the background by attachSchema
+
+    const indexes = await rawPosts.indexes();
+    test.equal(indexes.find(i => i.name === 'slug_1').sparse, true);
+    test.equal(indexes.find(i => i.name === 'expiresAt_1').expireAfterSeconds, 3600);
+    test.equal(indexes.find(i => i.name === 'author_expires').key, { authorId: 1, expiresAt: -1 });
+  });
+
+  Tinytest.add('converts labels to JSONSchema', function(test) {
+    const { properties } = createJSONSchema({ dobUtc: {type: Date, label: 'Date of birth'}, profile: { zip: {type: String, min: 5, label: 'ZIP code'} } });
+    test.equal(properties.dobUtc, { bsonType: 'date', title: 'Date of birth', description: 'Date of birth' });
+    test.equal(properties.profile.properties.zip, { bsonType: 'string', minLength: 5, title: 'ZIP code', description: 'ZIP code' });
+  });
+
+  Tinytest.add('converts union to JSONSchema', function(test) {
+    const jsonSchema = createJSONSchema(unionSchema);
+    test.equal(jsonSchema.properties.payment, {
+      oneOf: [
+        { bsonType: 'object', properties: { number: { bsonType: 'string' }, expiry: { bsonType: 'string' }, kind: { bsonType: 'string', enum: ['card'] } }, required: ['number', 'expiry', 'kind'], additionalProperties: false },
+        { bsonType: 'object', properties: { accountNumber: { bsonType: 'string' }, routingNumber: { bsonType: 'string', minLength: 9 }, kind: { bsonType: 'string', enum: ['bank'] } }, required: ['accountNumber', 'routingNumber', 'kind'], additionalProperties: false }
+      ]
+    });
+    test.equal(createJSONSchema(unionArraySchema).properties.payments.items.oneOf.length, 2);
+  });
+
   Tinytest.add('condition - simple where', function(test) {
     try {
       const result = check(whereDataFail, whereSchema)
@@ -4032,6 +5474,414 @@ Tinytest.add('getParams - successfully gets params', function (test) {
   test.equal(_getParams(fn7), ['text', 'checked', 'thing'])
 });
 
+Tinytest.add('clean - coerces, removes unknown keys and empty strings, and applies defaults', function (test) {
+  const schema = {
+    name: String,
+    age: Number,
+    count: Integer,
+    active: Boolean,
+    createdAt: Date,
+    tags: [String],
+    status: {type: String, default: 'draft'},
+    createdBy: {type: String, default: () => 'someone'},
+    address: {street: String, zip: Number},
+    settings: {type: {theme: String}, extra: true},
+    bio: Optional(String)
+  };
+
+  const data = { name: 42, age: ' 3.5 ', count: '7', active: 'false', createdAt: '2024-01-02T03:04:05Z', tags: [1, 'a'], address: { street: 'Main', zip: '12345', floor: 2 }, settings: { theme: 'dark', fontSize: 12 }, bio: '', unknown: 'x' };
+  const result = clean(data, schema);
+
+  test.equal(result, { name: '42', age: 3.5, count: 7, active: false, createdAt: new Date('2024-01-02T03:04:05Z'), tags: ['1', 'a'], address: { street: 'Main', zip: 12345 }, settings: { theme: 'dark', fontSize: 12 }, status: 'draft' });
+  test.equal(data.age, ' 3.5 '); // the data isn't mutated
+  test.equal(clean({ status: 'done' }, schema).status, 'done');
+});
+
+Tinytest.add('clean - leaves values that can\'t be safely coerced', function (test) {
+  const schema = { age: Number, count: Integer, active: Boolean, createdAt: Date, views: Long };
+
+  test.equal(clean({ age: 'abc', count: '1.5', active: 'yes', createdAt: '42', views: '12a' }, schema), { age: 'abc', count: '1.5', active: 'yes', createdAt: '42', views: '12a' });
+  test.equal(clean({ age: '0x10' }, schema), { age: '0x10' });
+  test.equal(clean({ createdAt: '2020-02-31' }, schema), { createdAt: '2020-02-31' });
+  test.equal(clean({ views: '9007199254740993' }, schema), { views: 9007199254740993n });
+});
+
+Tinytest.add('clean - options', function (test) {
+  const schema = { name: String, age: Number, status: {type: String, default: 'draft'} };
+  const data = { name: '', age: '3', other: true };
+
+  test.equal(clean(data, schema, { coerce: false, removeUnknown: false, removeEmptyStrings: false, defaults: false }), data);
+  test.equal(clean(data, schema, { removeUnknown: false }), { age: 3, other: true, status: 'draft' });
+});
+
+Tinytest.add('clean - modifier', function (test) {
+  const schema = { name: String, age: Number, tags: [String], items: [{ price: Number }], address: {street: String, zip: Number}, status: {type: String, default: 'draft'} };
+  const modifier = { $set: { age: '4', 'address.zip': '12345', 'items.$.price': '9.99', name: '', unknown: 1 }, $inc: { age: '1' }, $push: { tags: { $each: [1, 2] } }, $addToSet: { items: { price: '1' } }, $unset: { name: '' } };
+
+  test.equal(clean(modifier, schema), { $set: { age: 4, 'address.zip': 12345, 'items.$.price': 9.99 }, $inc: { age: 1 }, $push: { tags: { $each: ['1', '2'] } }, $addToSet: { items: { price: 1 } }, $unset: { name: '' } });
+  test.equal(clean({ $set: { unknown: 1 } }, schema), {});
+});
+
+Tinytest.add('clean - collection schema', function (test) {
+  test.equal(clean({ views: '5', snowflake: 1, other: 'x' }, Counters.schema), { views: 5n, snowflake: 1n });
+});
+
+const composeSchema = {
+  _id: Optional(ID),
+  title: {type: String, min: 1, trim: true},
+  done: {type: Boolean, default: false},
+  note: {type: Optional(String), max: 5},
+  address: { street: String, geo: { lat: Number, lng: Number } },
+  items: [{ name: String }]
+};
+
+Tinytest.add('compose - extend', function (test) {
+  const extended = extend(composeSchema, { priority: Integer, done: Optional(Boolean) });
+  test.equal(Object.keys(extended), ['_id', 'title', 'done', 'note', 'address', 'items', 'priority']);
+  test.equal(extended.done, Optional(Boolean));
+
+  const shaped = extend(shape(composeSchema), { priority: Integer });
+  test.equal(shaped.priority, Integer);
+  test.equal(shaped.$defaults, [{ path: ['done'], value: false }]);
+  test.equal(shaped.$transforms.map(t => t.path), [['title']]);
+});
+
+Tinytest.add('compose - omit', function (test) {
+  test.equal(Object.keys(omit(composeSchema, ['_id', 'items'])), ['title', 'done', 'note', 'address']);
+
+  const shaped = omit(shape(composeSchema), ['done', 'title']);
+  test.equal(shaped.$defaults, undefined);
+  test.equal(shaped.$transforms, undefined);
+
+  try {
+    check({ address: { street: 'Main', geo: { lat: 1, lng: 2 } }, items: [] }, shaped);
+    test.isTrue(true);
+  } catch(error) {
+    test.isTrue(error = undefined)
+  }
+});
+
+Tinytest.add('compose - partial and required', function (test) {
+  const edit = partial(composeSchema);
+  test.equal(edit.title, Optional(composeSchema.title));
+  test.equal(edit.note, composeSchema.note); // already optional
+  test.equal(partial(composeSchema, ['done']).title, composeSchema.title);
+
+  const create = required(edit, ['title', 'note']);
+  test.equal(create.title, composeSchema.title);
+  test.equal(create.note, { type: String, max: 5 });
+  test.equal(create.done, Optional(composeSchema.done));
+
+  try {
+    check({}, required(partial(shape(composeSchema)), ['title']));
+    test.isTrue(false);
+  } catch(error) {
+    test.equal(error.details.map(d => d.name), ['title']);
+  }
+});
+
+Tinytest.add('compose - deepPartial', function (test) {
+  const schema = deepPartial(composeSchema);
+
+  try {
+    check({ address: { geo: {} }, items: [{}] }, schema);
+    test.isTrue(true);
+  } catch(error) {
+    test.isTrue(error = undefined)
+  }
+
+  try {
+    check({ title: '', address: { geo: { lat: 'x' } } }, schema);
+    test.isTrue(false);
+  } catch(error) {
+    test.equal(error.details.map(d => d.name), ['title', 'lat']);
+  }
+});
+
+Tinytest.add('compose - collection schema', function (test) {
+  const create = omit(Profiles.schema, ['_id']);
+  test.equal(create.$id, undefined);
+  test.equal(create.$transforms.map(t => t.path[0]), ['email', 'username', 'code', 'aliases', 'profile']);
+
+  try {
+    check({ username: 'bob' }, create);
+    test.isTrue(false);
+  } catch(error) {
+    test.equal(error.details.map(d => d.name), ['email']);
+  }
+
+  test.equal(Object.keys(pick(extend(Counters.schema, { label: String }), ['views', 'label'])), ['views', 'label']);
+  test.throws(() => partial(Profiles._schemaDeepOptional), 'shaped without its source');
+});
+
+Tinytest.addAsync('checkAsync - async where', async (test) => {
+  const schema = {
+    slug: {type: String, min: 2, where: async slug => { if (slug === 'home') throw 'Slug is taken' }},
+    tags: [{type: String, where: async tag => { if (tag === 'banned') throw 'Tag is not allowed' }}]
+  };
+
+  try {
+    await checkAsync({ slug: 'about', tags: ['a'] }, schema);
+    test.isTrue(true);
+  } catch(error) {
+    test.isTrue(error = undefined)
+  }
+
+  try {
+    await checkAsync({ slug: 'home', tags: ['a', 'banned'] }, schema);
+    test.isTrue(false);
+  } catch(error) {
+    test.equal(error.details.map(d => d.message), ['Slug is taken', 'Tag is not allowed']);
+    test.equal(error.details[1].name, 'tags[1]');
+  }
+
+  try {
+    check({ slug: 'home', tags: [] }, schema); // check skips async where functions
+    test.isTrue(true);
+  } catch(error) {
+    test.isTrue(error = undefined)
+  }
+});
+
+Tinytest.addAsync('checkAsync - skips async where when the value is invalid', async (test) => {
+  let calls = 0;
+  const schema = { slug: {type: String, min: 2, where: async () => { calls++ }} };
+
+  try {
+    await checkAsync({ slug: 'a' }, schema);
+    test.isTrue(false);
+  } catch(error) {
+    test.equal(error.details.map(d => d.message), ['Slug must be at least 2 characters']);
+    test.equal(calls, 0);
+  }
+});
+
+Tinytest.addAsync('checkAsync - where that returns a promise', async (test) => {
+  const lookup = (value, message) => new Promise((resolve, reject) => setTimeout(() => value === 'taken' ? reject(message) : resolve(), 0));
+  const schema = {
+    slug: {type: String, min: 2, where: value => lookup(value, 'Slug is taken')}, // not declared async, e.g. when it's been transpiled
+    tags: [{type: String, where: value => lookup(value, 'Tag is taken')}],
+    title: String
+  };
+
+  try {
+    check({ slug: 'taken', tags: ['a', 'taken'], title: 'Hello' }, schema);
+    test.isTrue(true);
+  } catch(error) {
+    test.isTrue(error = undefined)
+  }
+
+  try {
+    await checkAsync({ slug: 'taken', tags: ['a', 'taken'], title: 'Hello' }, schema);
+    test.isTrue(false);
+  } catch(error) {
+    test.equal(error.details.map(d => d.message), ['Slug is taken', 'Tag is taken']);
+    test.equal(error.details.map(d => d.name), ['slug', 'tags[1]']);
+  }
+
+  try {
+    await checkAsync({ slug: 'a', tags: ['b'], title: 1 }, schema);
+    test.isTrue(false);
+  } catch(error) {
+    test.equal(error.details.map(d => d.message), ['Slug must be at least 2 characters', 'Title must be a string, not number']);
+  }
+
+  await checkAsync({ slug: 'hello', tags: ['b'], title: 'Hello' }, schema);
+
+  const embedded = { labels: {type: [{type: String, where: value => lookup(value, 'Label is taken')}], min: 2} };
+
+  try {
+    check({ labels: ['a'] }, embedded);
+    test.isTrue(false);
+  } catch(error) {
+    test.equal(error.details.map(d => d.message), ['Labels must be at least 2 items']);
+  }
+
+  try {
+    await checkAsync({ labels: ['a', 'b', 'taken'] }, embedded);
+    test.isTrue(false);
+  } catch(error) {
+    test.equal(error.details.map(d => d.message), ['Label is taken']);
+    test.equal(error.details.map(d => d.name), ['labels[2]']);
+  }
+
+  try {
+    await checkAsync({ labels: ['taken'] }, embedded);
+    test.isTrue(false);
+  } catch(error) {
+    test.equal(error.details.map(d => d.message), ['Labels must be at least 2 items']);
+  }
+});
+
+Tinytest.add('indexes - shape', function (test) {
+  const schema = {
+    title: {type: String, text: true},
+    authorId: {type: String, index: true},
+    slug: Optional({type: String, index: { sparse: true }}),
+    expiresAt: {type: Date, ttl: 3600},
+    items: [{ sku: {type: String, index: true} }],
+    $indexes: [{ key: { authorId: 1, expiresAt: -1 }, name: 'author_expires' }]
+  };
+  const shaped = shape(schema);
+
+  test.equal(shaped.$indexes, [
+    { key: { authorId: 1, expiresAt: -1 }, options: { name: 'author_expires' } },
+    { key: { authorId: 1 }, options: {} },
+    { key: { slug: 1 }, options: { sparse: true } },
+    { key: { expiresAt: 1 }, options: { expireAfterSeconds: 3600 } },
+    { key: { 'items.sku': 1 }, options: {} },
+    { key: { title: 'text' }, options: {} }
+  ]);
+  test.equal(shape(schema, { optionalize: true }).$indexes, undefined);
+  test.equal(partial(schema).$indexes, schema.$indexes);
+
+  try {
+    const data = { title: 'Hello', authorId: 'a', expiresAt: new Date(), items: [{ sku: 'b' }] };
+    check(data, schema, { full: true });
+    check(data, shaped);
+    test.isTrue(true);
+  } catch(error) {
+    test.isTrue(error = undefined)
+  }
+});
+
+Tinytest.add('labels - error messages', function (test) {
+  const schema = {
+    dobUtc: {type: Date, label: 'Date of birth'},
+    name: {type: String, min: 2, label: 'Full name'},
+    profile: { zip: {type: String, regex: /^\d+$/, label: 'ZIP code'} },
+    tags: [{type: String, max: 3, label: 'Tag'}],
+    nick: {type: String, max: [3, 'Too long'], label: 'Nickname'}
+  };
+
+  try {
+    check({ name: 'a', profile: { zip: 'x' }, tags: ['abcd'], nick: 'abcd' }, schema, { full: true });
+    test.isTrue(false);
+  } catch(error) {
+    test.equal(error.details.map(d => d.message), ['Full name must be at least 2 characters', 'ZIP code must match regex /^\\d+$/', 'Tag must be at most 3 characters', 'Too long', 'Date of birth is required']);
+    test.equal(error.details.map(d => d.name), ['name', 'zip', 'tags[0]', 'nick', 'dobUtc']);
+  }
+
+  try {
+    check({ $set: { dobUtc: 'today' } }, schema);
+    test.isTrue(false);
+  } catch(error) {
+    test.equal(error.details[0].message, 'Date of birth must be a Date');
+  }
+});
+
+Tinytest.add('messages - locale', function (test) {
+  EasySchema.configure({
+    messages: {
+      fr: {
+        and: ' et ',
+        required: 'est obligatoire',
+        typeActual: 'doit être de type {{type}}, pas {{actual}}',
+        min: 'doit contenir au moins {{min}} {{unit}}',
+        characters: 'caractères',
+        regex: 'doit correspondre à {{regex}}'
+      }
+    }
+  });
+
+  const schema = {
+    name: {type: String, min: 2, regex: /^[A-Z]/, label: 'Nom'},
+    age: Number,
+    count: {type: Integer, min: 3},
+    dob: Date
+  };
+  const data = { name: 'a', age: 'x', count: 1 };
+
+  try {
+    check(data, schema, { full: true, locale: 'fr-CA' });
+    test.isTrue(false);
+  } catch(error) {
+    test.equal(error.details.map(d => d.message), ['Nom doit contenir au moins 2 caractères et doit correspondre à /^[A-Z]/', 'Age doit être de type number, pas string', 'Count doit contenir au moins 3', 'Dob est obligatoire']);
+  }
+
+  try {
+    EasySchema.configure({ locale: () => 'fr' });
+    check(data, schema, { full: true });
+    test.isTrue(false);
+  } catch(error) {
+    test.equal(error.details[3].message, 'Dob est obligatoire');
+  } finally {
+    EasySchema.configure({ locale: 'en' });
+  }
+
+  try {
+    check(data, schema, { full: true });
+    test.isTrue(false);
+  } catch(error) {
+    test.equal(error.details.map(d => d.message), ['Nom must be at least 2 characters and must match regex /^[A-Z]/', 'Age must be a number, not string', 'Count must be at least 3', 'Dob is required']);
+  }
+});
+
+const fluentMessagesHas = { string: String[has], date: Date[has] }; // the fluent methods aren't available after startup
+
+Tinytest.add('messages - fluent values must have the expected shape', function (test) {
+  test.throws(() => fluentMessagesHas.string.required(), "Invalid value for 'required'");
+  test.throws(() => fluentMessagesHas.string.label(5), "Invalid value for 'label'");
+  test.throws(() => fluentMessagesHas.string.typeError({}), "Invalid value for 'typeError'");
+  test.throws(() => fluentMessagesHas.string.trim('yes'), "Invalid value for 'trim'");
+  test.throws(() => fluentMessagesHas.date.ttl('1h'), "Invalid value for 'ttl'");
+  test.equal(Object.keys(shape({ plan: {type: String, required: 'Please choose a plan', label: 'Plan'} })), ['plan', '$messages']);
+});
+
+Tinytest.add('custom required and type messages', function (test) {
+  const schema = {
+    plan: {type: String, required: 'Please choose a plan'},
+    seats: {type: Integer, min: 1, typeError: 'Seats must be a whole number'},
+    profile: { zip: {type: String, required: 'Enter your ZIP', typeError: 'ZIP must be text', label: 'ZIP'} },
+    tags: [{type: String, typeError: 'Tags must be text'}],
+    name: String
+  };
+
+  try {
+    check({ seats: 'x', profile: {}, tags: ['a', 1], name: 5 }, schema, { full: true });
+    test.isTrue(false);
+  } catch(error) {
+    test.equal(error.details.map(d => d.message), ['Seats must be a whole number', 'Enter your ZIP', 'Tags must be text', 'Name must be a string, not number', 'Please choose a plan']);
+    test.equal(error.details.map(d => d.type), ['type', 'required', 'type', 'type', 'required']);
+  }
+
+  try {
+    check({ $set: { seats: 1.5, 'profile.zip': 3 } }, schema);
+    test.isTrue(false);
+  } catch(error) {
+    test.equal(error.details.map(d => d.message), ['Seats must be a whole number', 'ZIP must be text']);
+  }
+});
+
+Tinytest.add('subdocuments with fields named like conditions', function (test) {
+  const schema = {
+    field: {type: String, label: String, required: Boolean},
+    search: {type: String, text: String},
+    media: {type: String, format: String},
+    range: {type: String, gt: Number, lt: Number, contains: String},
+    name: {type: String, label: 'Name'}
+  };
+
+  const shapedSchema = shape(schema);
+  test.equal(shapedSchema.field.type, String);
+  test.equal(shapedSchema.field.label, String);
+  test.equal(shapedSchema.field.required, Boolean);
+  test.equal(shapedSchema.search.text, String);
+  test.equal(shapedSchema.media.format, String);
+  test.equal(shapedSchema.range.contains, String);
+  test.equal(shapedSchema.name, String);
+
+  const data = { search: { type: 'a', text: 'b' }, media: { type: 'image', format: 'png' }, range: { type: 'int', gt: 0, lt: 10, contains: 'x' }, name: 'Bob' };
+  check({ field: { type: 'text', label: 'Title', required: true }, ...data }, schema);
+
+  try {
+    check({ field: { type: 'text', label: 'Title', required: 'yes' }, ...data }, schema);
+    test.isTrue(false);
+  } catch(error) {
+    test.equal(error.details[0].name, 'required');
+  }
+});
+
 const Fruits = new Mongo.Collection('fruits');
 
 Tinytest.addAsync('config - base', async (test) => {